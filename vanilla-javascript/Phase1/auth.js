@@ -0,0 +1,70 @@
+/* Account form: register / log in / log out without blocking the page (see Phase2/authUtil.js) */
+import { Auth, AuthError } from '../Phase2/authUtil.js';
+
+const SESSION_CHECK_INTERVAL = 15 * 1000;
+
+const auth = new Auth();
+let wasLoggedIn = false;
+const authForm = document.getElementById("authForm");
+const authUsername = document.getElementById("authUsername");
+const authPassword = document.getElementById("authPassword");
+const registerBtn = document.getElementById("registerBtn");
+const authStatus = document.getElementById("authStatus");
+const authUser = document.getElementById("authUser");
+const authExpiry = document.getElementById("authExpiry");
+const logoutBtn = document.getElementById("logoutBtn");
+const authMessage = document.getElementById("authMessage");
+
+function render(){
+    const session = auth.getSession();
+    authForm.hidden = Boolean(session);
+    authStatus.hidden = !session;
+    if(session){
+        authUser.textContent = session.username;
+        authExpiry.textContent = new Date(session.expiresAt).toLocaleTimeString();
+    }
+    return session;
+}
+// disables the buttons while hashing (PBKDF2 is slow on purpose) and shows AuthErrors as messages
+async function run(action){
+    authForm.querySelectorAll("button").forEach(button => button.disabled = true);
+    try {
+        await action();
+    }
+    catch (error) {
+        if (!(error instanceof AuthError)) throw error;
+        authMessage.textContent = error.message;
+    }
+    finally {
+        authForm.querySelectorAll("button").forEach(button => button.disabled = false);
+    }
+}
+
+authForm.addEventListener("submit", event => {
+    event.preventDefault();
+    run(async () => {
+        await auth.login(authUsername.value, authPassword.value);
+        authPassword.value = "";
+        authMessage.textContent = "You are logged in!";
+        wasLoggedIn = Boolean(render());
+    });
+});
+registerBtn.addEventListener("click", () => {
+    run(async () => {
+        await auth.register(authUsername.value, authPassword.value);
+        authMessage.textContent = "Registered! You can log in now.";
+    });
+});
+logoutBtn.addEventListener("click", () => {
+    auth.logout();
+    authMessage.textContent = "You are logged out.";
+    wasLoggedIn = Boolean(render());
+});
+
+// the session can run out while the page is open
+wasLoggedIn = Boolean(render());
+setInterval(() => {
+    const isLoggedIn = Boolean(render());
+    if(wasLoggedIn && !isLoggedIn) authMessage.textContent = "Your session has expired, please log in again.";
+    wasLoggedIn = isLoggedIn;
+}, SESSION_CHECK_INTERVAL);
@@ -0,0 +1,161 @@
+/* Shape calculator: pick a shape, fill in the dimensions it needs, get every metric.
+    All the maths comes from Phase2's mathUtil (precise PI, units, typed errors).
+    Past calculations are saved in localStorage and can be recalled into the form. */
+import { getCircumference, getArea, sphere, cylinder, cone, cube, cuboid, torus, Measurement, DimensionError } from '../Phase2/mathUtil.js';
+
+const HISTORY_KEY = "shapeHistory";
+const HISTORY_LIMIT = 20;
+
+const SHAPES = {
+    circle: { label: "Circle", dimensions: ["radius"], metrics: { Circumference: getCircumference, Area: getArea } },
+    sphere: { label: "Sphere", dimensions: ["radius"], metrics: { "Surface area": sphere.surfaceArea, Volume: sphere.volume } },
+    cylinder: { label: "Cylinder", dimensions: ["radius", "height"], metrics: { "Surface area": cylinder.surfaceArea, Volume: cylinder.volume } },
+    cone: { label: "Cone", dimensions: ["radius", "height"], metrics: { "Surface area": cone.surfaceArea, Volume: cone.volume } },
+    cube: { label: "Cube", dimensions: ["side"], metrics: { "Surface area": cube.surfaceArea, Volume: cube.volume } },
+    cuboid: { label: "Cuboid", dimensions: ["length", "width", "height"], metrics: { "Surface area": cuboid.surfaceArea, Volume: cuboid.volume } },
+    torus: { label: "Torus", dimensions: ["majorRadius", "minorRadius"], metrics: { "Surface area": torus.surfaceArea, Volume: torus.volume } }
+};
+const DIMENSION_LABELS = {
+    radius: "Radius",
+    height: "Height",
+    side: "Side",
+    length: "Length",
+    width: "Width",
+    majorRadius: "Major radius",
+    minorRadius: "Minor radius"
+};
+
+const shapeForm = document.getElementById("shapeForm");
+const shapeSelect = document.getElementById("shapeSelect");
+const unitSelect = document.getElementById("myUnit");
+const shapeInputs = document.getElementById("shapeInputs");
+const shapeResults = document.getElementById("shapeResults");
+const shapeHistory = document.getElementById("shapeHistory");
+const clearShapeHistory = document.getElementById("clearShapeHistory");
+
+Object.entries(SHAPES).forEach(([value, shape]) => shapeSelect.add(new Option(shape.label, value)));
+
+/* Inputs */
+function renderInputs(){
+    const fields = SHAPES[shapeSelect.value].dimensions.map(dimension => {
+        const field = document.createElement("div");
+        field.className = "field";
+        field.innerHTML = `
+            <label for="dim-${dimension}">${DIMENSION_LABELS[dimension]}: </label>
+            <input type="text" inputmode="decimal" id="dim-${dimension}" name="${dimension}" aria-describedby="dim-${dimension}-error">
+            <span class="field-error" id="dim-${dimension}-error"></span>`;
+        field.querySelector("input").addEventListener("input", event => validateField(event.target));
+        return field;
+    });
+    shapeInputs.replaceChildren(...fields);
+}
+function showError(input, message){
+    input.setAttribute("aria-invalid", message ? "true" : "false");
+    document.getElementById(`${input.id}-error`).textContent = message;
+}
+// returns the number, or null (after showing the problem next to the input)
+function validateField(input){
+    const text = input.value.trim();
+    const value = Number(text);
+    let message = "";
+    if(text === "") message = "Required";
+    else if(!Number.isFinite(value)) message = "Must be a number";
+    else if(value < 0) message = "Can't be negative";
+    showError(input, message);
+    return message ? null : value;
+}
+
+/* Calculation */
+function calculate(shapeName, unit, values){
+    const shape = SHAPES[shapeName];
+    const dimensions = shape.dimensions.map(dimension => new Measurement(values[dimension], unit));
+    return Object.entries(shape.metrics).map(([label, metric]) => [label, metric(...dimensions).format()]);
+}
+function showResults(shapeName, unit, values, results){
+    const given = SHAPES[shapeName].dimensions.map(d => `${DIMENSION_LABELS[d].toLowerCase()} ${values[d]} ${unit}`).join(", ");
+    shapeResults.innerText = `${SHAPES[shapeName].label} (${given})\n` + results.map(([label, value]) => `${label}: ${value}`).join("\n");
+}
+
+shapeForm.addEventListener("submit", event => {
+    event.preventDefault();
+    const shapeName = shapeSelect.value;
+    const unit = unitSelect.value;
+    const inputs = [...shapeInputs.querySelectorAll("input")];
+    const values = {};
+    inputs.forEach(input => values[input.name] = validateField(input));
+    const firstInvalid = inputs.find(input => values[input.name] === null);
+    if(firstInvalid){
+        firstInvalid.focus();
+        return;
+    }
+    let results;
+    try {
+        results = calculate(shapeName, unit, values);
+    }
+    catch (error) {
+        if (!(error instanceof DimensionError)) throw error;
+        // rules that involve more than one input (like the torus minor radius) come back from mathUtil
+        const input = document.getElementById(`dim-${error.dimension}`);
+        showError(input, error.message);
+        input.focus();
+        return;
+    }
+    showResults(shapeName, unit, values, results);
+    addToHistory({ shape: shapeName, unit, values, results });
+});
+shapeSelect.addEventListener("change", () => {
+    renderInputs();
+    shapeResults.textContent = "";
+});
+
+/* History */
+// the shape of a saved entry, anything else (edited by hand, an older format...) is skipped instead of breaking the list
+function isHistoryEntry(entry){
+    return typeof entry === "object" && entry !== null
+        && typeof entry.shape === "string" && Object.hasOwn(SHAPES, entry.shape)
+        && typeof entry.values === "object" && entry.values !== null
+        && Array.isArray(entry.results) && entry.results.every(result => Array.isArray(result) && result.length === 2);
+}
+function loadHistory(){
+    let history;
+    try {
+        history = JSON.parse(localStorage.getItem(HISTORY_KEY));
+    }
+    catch {
+        return []; // corrupted entry -> start over
+    }
+    return Array.isArray(history) ? history.filter(isHistoryEntry) : [];
+}
+function addToHistory(entry){
+    const history = [entry, ...loadHistory()].slice(0, HISTORY_LIMIT);
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+    renderHistory();
+}
+function recall(entry){
+    shapeSelect.value = entry.shape;
+    unitSelect.value = entry.unit;
+    renderInputs();
+    shapeInputs.querySelectorAll("input").forEach(input => input.value = entry.values[input.name]);
+    showResults(entry.shape, entry.unit, entry.values, entry.results);
+}
+function renderHistory(){
+    const items = loadHistory().map(entry => {
+        const li = document.createElement("li");
+        const summary = entry.results.map(([label, value]) => `${label}: ${value}`).join(", ");
+        li.textContent = `${SHAPES[entry.shape].label} - ${summary} `;
+        const button = document.createElement("button");
+        button.type = "button";
+        button.textContent = "Recall";
+        button.addEventListener("click", () => recall(entry));
+        li.append(button);
+        return li;
+    });
+    shapeHistory.replaceChildren(...items);
+}
+clearShapeHistory.addEventListener("click", () => {
+    localStorage.removeItem(HISTORY_KEY);
+    renderHistory();
+});
+
+renderInputs();
+renderHistory();
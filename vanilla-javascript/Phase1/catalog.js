@@ -0,0 +1,4 @@
+/* Demo catalog for Phase1: the demos register themselves (index.js, matrix.js), this just draws the catalog */
+import { mountCatalog } from '../Phase2/demoCatalog.js';
+
+mountCatalog(document.getElementById("demoCatalog"), { output: document.getElementById("extraOutput") });
@@ -0,0 +1,21 @@
+/* Expression calculator: parses what the user types with Phase2's expressionUtil (no eval) */
+import { parse, evaluate, formatTree, toParenthesized, ExpressionSyntaxError, EvaluationError } from '../Phase2/expressionUtil.js';
+
+const exprForm = document.getElementById("exprForm");
+const exprInput = document.getElementById("exprInput");
+const exprOutput = document.getElementById("exprOutput");
+
+exprForm.addEventListener("submit", event => {
+    event.preventDefault();
+    const source = exprInput.value;
+    try {
+        const tree = parse(source);
+        const result = evaluate(tree);
+        exprOutput.textContent = `${source} = ${result}\n\nEvaluated as: ${toParenthesized(tree)}\n\nParse tree:\n${formatTree(tree)}`;
+    }
+    catch (error) {
+        if (!(error instanceof ExpressionSyntaxError || error instanceof EvaluationError)) throw error;
+        // point at the exact character with a caret under it
+        exprOutput.textContent = `${source}\n${" ".repeat(error.position)}^\n${error.name}: ${error.message}`;
+    }
+});
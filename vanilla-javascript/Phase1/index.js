@@ -4,6 +4,13 @@ Accessibility & Semantic HTML Note:
   and proper labels for accessibility.
 */
 
+/* Dialogs:
+    prompt(), confirm() and alert() freeze the whole page until they're answered,
+    so this file uses the in-page dialogs from Phase2/dialog.js instead (ask, confirmDialog, notify).
+    This file isn't a module, so they're loaded with a dynamic import(), which gives a Promise of the module:
+        const { ask } = await dialogs; */
+const dialogs = import("../Phase2/dialog.js");
+
 /* Variables */
 let name = "Sapto";            // Can be reassigned
 const age = 20;                // Constant, cannot be reassigned
@@ -15,12 +22,13 @@ const PI = 3.14;
 let radius;
 let circumference;
 // PI = 420.69;
-document.getElementById("mySubmit").onclick = function(){
-    radius = document.getElementById("myText").value;
-    radius = Number(radius);
-    circumference = 2 * PI * radius;
-    document.getElementById("myH3").textContent = circumference + " cm";
-}
+// document.getElementById("mySubmit").onclick = function(){
+//     radius = document.getElementById("myText").value;
+//     radius = Number(radius);
+//     circumference = 2 * PI * radius;
+//     document.getElementById("myH3").textContent = circumference + " cm";
+// }
+// ^ the radius form is now the Shape Calculator in calculator.js (a module, so it can use Phase2's mathUtil and its precise PI)
 
 /* Variable Scope: where a variable is recognized and accessible (local vs global) */         
 let x1 = 3; // global scope
@@ -89,6 +97,7 @@ Note:
 
 let result = 1 + 2 * 3 + 4 ** 2;
 console.log(result);
+// the Expression Calculator on the page follows these same rules -> see Phase2/expressionUtil.js (no eval)
 /*
 =     assignment operator
 ==    comparison operator (compare if values are equal)
@@ -133,6 +142,7 @@ function isEven(number){
 function isValidEmail(email){
     return email.includes("@") ? true : false;
 }
+// ^ "@" alone passes too -> rules.email() in Phase2/validator.js checks for something@something.something
 console.log(happyBirthday("Sapto", 25));
 console.log(isValidEmail("s123@gmail.com"));
 
@@ -148,10 +158,19 @@ console.log(isValidEmail("s123@gmail.com"));
 */
 
 // Basic Arrow Function Examples
-const add = (a, b) => a + b;
-const multiply = (x, y) => x * y;
-const greet = name => `Hello, ${name}!`; // Single parameter can omit parentheses
-const getRandom = () => Math.random(); // No parameters need empty parentheses
+// (named ...Arrow: add, multiply and greet are already declared as functions above, and a name can only be declared once)
+const addArrow = (a, b) => a + b;
+const multiplyArrow = (x, y) => x * y;
+const greetArrow = name => `Hello, ${name}!`; // Single parameter can omit parentheses
+// const getRandom = () => Math.random(); // No parameters need empty parentheses
+// Math.random() can't be seeded, so its numbers can't be replayed -> Random from Phase2/randomUtil.js can.
+// RANDOM_SEED: the same seed gives the same sequence on every page load (42 -> 0.6011..., 0.4482..., ...), change it for another one.
+// This file isn't a module, so Random comes from a dynamic import() like the dialogs at the top: rng is null for a moment
+// (use getRandom() after randomReady, e.g. randomReady.then(() => console.log(getRandom())))
+const RANDOM_SEED = 42;
+let rng = null;
+const randomReady = import("../Phase2/randomUtil.js").then(({ Random }) => rng = new Random(RANDOM_SEED));
+const getRandom = () => rng.nextFloat(); // No parameters need empty parentheses
 
 // Arrow Functions with Multiple Statements
 const processUser = (name, age) => {
@@ -164,7 +183,7 @@ const processUser = (name, age) => {
 const numbersArray = [1, 2, 3, 4, 5];
 const doubled = numbersArray.map(num => num * 2);
 const evens = numbersArray.filter(num => num % 2 === 0);
-const sum = numbersArray.reduce((acc, num) => acc + num, 0);
+const total = numbersArray.reduce((acc, num) => acc + num, 0); // not `sum`, that's the function in "example 2" below
 
 // Arrow Functions with Object Destructuring
 const getUserInfo = ({ name, age, city }) => `${name} is ${age} years old from ${city}`;
@@ -172,7 +191,7 @@ const getUserInfo = ({ name, age, city }) => `${name} is ${age} years old from $
 // Arrow Functions as Callbacks
 setTimeout(() => console.log('Delayed execution'), 1000);
 const button = document.getElementById('myButton');
-button.addEventListener('click', () => alert('Button clicked!'));
+button.addEventListener('click', async () => (await dialogs).notify('Button clicked!'));
 
 // Arrow Functions vs Regular Functions - 'this' binding
 const personObj = {
@@ -241,6 +260,7 @@ const getAdultNames = (userList) =>
         .map(user => user.name);
 
 // Arrow Functions with Async Operations
+// (there's no real /api server: Phase2/mockApi.js answers these requests, see users.js and the "Fetch User" demo)
 const fetchUserData = async (userId) => {
     try {
         const response = await fetch(`/api/users/${userId}`);
@@ -256,6 +276,7 @@ const sortByAge = (a, b) => a.age - b.age;
 const sortByName = (a, b) => a.name.localeCompare(b.name);
 
 // Arrow Functions with Currying
+// (Phase2/fpUtil.js has a reusable curry() with placeholders, plus compose/pipe/memoize/debounce/throttle...)
 const curry = (fn) => {
     return function curried(...args) {
         if (args.length >= fn.length) {
@@ -305,20 +326,22 @@ while (i < 3) {
     console.log("While loop:", i);
     i++;
 }
-let loggedIn = false;
-let username2;
-let password2;
-while(!loggedIn){
-    username2 = window.prompt(`Enter your username`);
-    password2 = window.prompt(`Enter your password`);
-    if(username2 === "myUsername" && password2 === "myPassword"){
-        loggedIn = true;
-        console.log("You are logged in!");
-    }
-    else{
-        console.log("Invalid credentials! Please try again");
-    }
-}
+// let loggedIn = false;
+// let username2;
+// let password2;
+// while(!loggedIn){
+//     username2 = window.prompt(`Enter your username`);
+//     password2 = window.prompt(`Enter your password`);
+//     if(username2 === "myUsername" && password2 === "myPassword"){
+//         loggedIn = true;
+//         console.log("You are logged in!");
+//     }
+//     else{
+//         console.log("Invalid credentials! Please try again");
+//     }
+// }
+// ^ this blocks the whole page until the right literals are typed in -> the Account form (auth.js) replaces it:
+//   real registration, PBKDF2-hashed passwords, lockout after failed attempts and sessions that expire
 
 /* Arrays */
 let fruits = ["apple", "banana", "mango"];
@@ -361,11 +384,13 @@ const matrix = [[1, 2, 3],
 // matrix[2][0] = 'X';
 // matrix[2][1] = 'O';
 // matrix[2][2] = 'X';
+// -> these moves are played for real in the Tic-Tac-Toe section (ticTacToe.js), on a board built the same way
 
 for(let row of matrix) {
     const rowString = row.join(' ');
     console.log(rowString);
 }
+// transpose, multiply, determinant, inverse etc. -> see Phase2/matrixUtil.js (and the Matrix Demo button, matrix.js)
 
 /* Objects */
 let person = {
@@ -384,7 +409,7 @@ let minimum = Math.min(...numbers);
 console.log(maximum);
 // example 2
 let myFirstName = "Saptaparno";
-let letters = [...myFirstName].join("-");
+let letters = [...myFirstName].join("-"); // [...str] splits emoji and accents apart -> graphemes() in Phase2/stringUtil.js
 console.log(letters);
 // example 3
 let froooots = ["apple", "orange", "banana"];
@@ -430,6 +455,7 @@ function getAverage(...numbers){
 }
 const average = getAverage(75, 100, 85, 90, 50);
 console.log(average);
+// getAverage() with no numbers gives NaN (0 / 0) -> Phase2/statsUtil.js throws an EmptyDataError instead
 
 // example 3
 function combineStrings(...strings){return strings.join(" ");}
@@ -437,8 +463,9 @@ const fullllName = combineStrings("Mr.", "Saptaparno", "Chakraborty");
 console.log(fullllName);
 
 /* DOM Manipulation */
-function showAlert() {
-    alert("Button was clicked!"); // alert <-> window.alert (same thing)
+async function showAlert() {
+    const { notify } = await dialogs;
+    await notify("Button was clicked!"); // used to be alert() <-> window.alert (same thing)
     document.getElementById("demoPara").innerText = "You clicked the button!";
 }
 function readInput() {
@@ -467,14 +494,19 @@ multi-line comment
     Easy way -> window.prompt (simple)
     Professional way -> HTML textbox (preferred for real apps)
 */
-/* Prompt method (simple) // prompt <-> window.prompt (same thing) */
-let userInput = prompt("Enter your favorite number:"); // Accept user input as a string
-let favNumber = Number(userInput); // Convert input to a number
-if (!isNaN(favNumber)) { // Check if conversion was successful
-    console.log(`Your favorite number is ${favNumber}`);
-} else {
-    console.log("That's not a valid number!");
+/* Prompt method (simple) // prompt <-> window.prompt (same thing)
+   -> now an in-page ask() dialog, so the page isn't frozen while it waits for an answer */
+async function askFavNumber() {
+    const { ask } = await dialogs;
+    let userInput = await ask("Enter your favorite number:"); // Accept user input as a string (null if cancelled)
+    let favNumber = Number(userInput); // Convert input to a number
+    if (userInput !== null && !isNaN(favNumber)) { // Check if conversion was successful
+        console.log(`Your favorite number is ${favNumber}`);
+    } else {
+        console.log("That's not a valid number!");
+    }
 }
+// askFavNumber(); // -> opened a dialog as soon as the page loaded, now it's the "Prompt" demo in the catalog
 /* Professional way: HTML textbox and button */
 /*
 This is added in my HTML file:
@@ -482,6 +514,8 @@ This is added in my HTML file:
   <button onclick="readFavNumber()">Submit</button>
   <p id="favNumOutput"></p>
 */
+/* The inputs are now checked by the declarative validator (validation.js + Phase2/validator.js):
+   the rules are declared once per field and the message shows up right under the input. */
 function readFavNumber() {
     const val = document.getElementById("favNumInput").value;
     const num = Number(val);
@@ -494,10 +528,14 @@ function readFavNumber() {
 
 /* Type Conversion: change the datatype of a value to another (strings, numbers, booleans) */
 // example 1
-let age1 = window.prompt("How old are you?");
-age1 = Number(age1);
-age1+=1;
-console.log(age1, typeof age1);
+async function typeConversionDemo() {
+    const { ask } = await dialogs;
+    let age1 = await ask("How old are you?"); // a string, just like window.prompt() gives
+    age1 = Number(age1);
+    age1+=1;
+    console.log(age1, typeof age1);
+}
+// typeConversionDemo(); // -> "Type Conversion" demo in the catalog
 // example 2
 let x = "pizza";
 let y = "pizza";
@@ -585,6 +623,7 @@ function comparisonDemo() {
 }
 
 /* String Methods */
+// for emoji/accent-safe versions (length, reverse, capitalize, mask, truncate...) see Phase2/stringUtil.js and the "Unicode Strings" demo
 let userName = "SaptoCodes";
 let phoneNumber = "123-456-7890";
 // console.log(userName.length); // In JavaScript, .length & .length() are used alike (unlike in Java).
@@ -619,6 +658,7 @@ const fullName = "Saptaparno Chakraborty";
 // let firstName = fullName.slice(0, 10);
 // let lastName = fullName.slice(11, 22);
 // let lastName = fullName.slice(11); // if ending index not included, it's taken as default
+// these break on one-word names, middle names and "van"/"de" surnames -> parseName() in Phase2/stringUtil.js
 let firstName = fullName.slice(0, fullName.indexOf(" ")); // more dynamic 
 let lastName = fullName.slice(fullName.indexOf(" ")+1); // more dynamic 
 let firstChar = fullName.slice(0,1);
@@ -629,6 +669,7 @@ console.log(firstChar);
 console.log(lastChar);
 // example 2
 const email = "Sapto123@gmail.com";
+// parseEmail() in Phase2/stringUtil.js also checks the address and explains what's wrong with it
 let username = email.slice(0, email.indexOf("@"));
 let extension = email.slice(email.indexOf("@") + 1);
 console.log(username);
@@ -662,8 +703,9 @@ function timerDemo() {
 }
 
 /* Form Validation */
-function formValidationDemo() {
-    let val = prompt("Enter your email:");
+async function formValidationDemo() {
+    const { ask } = await dialogs;
+    let val = await ask("Enter your email:", { type: "email" });
     let valid = val && val.includes("@") && val.includes(".");
     setExtraOutput(valid ? `Valid email: ${val}` : "Invalid email!");
 }
@@ -694,8 +736,9 @@ function forOfDemo() {
 }
 
 /* confirm */
-function confirmDemo() {
-    let answer = confirm("Do you like JavaScript?");
+async function confirmDemo() {
+    const { confirmDialog } = await dialogs;
+    let answer = await confirmDialog("Do you like JavaScript?");
     setExtraOutput(answer ? "Great!" : "Give it a chance!");
 }
 
@@ -708,9 +751,10 @@ function jsonDemo() {
 }
 
 /* Exception Handling */
-function tryCatchInputDemo() {
+async function tryCatchInputDemo() {
+    const { ask } = await dialogs;
     try {
-        let val = prompt("Enter a number:");
+        let val = await ask("Enter a number:");
         let num = Number(val);
         if (isNaN(num)) throw new Error("Not a number!");
         setExtraOutput(`You entered: ${num}`);
@@ -747,17 +791,72 @@ let min = Math.min(a, b, c);
 console.log(min);
 
 /* Method Chaining: calling one method after another in one continuous line of code */                      
-let username1 = window.prompt("Enter your username: ");
-/* no method chaining */
-/*
-username1 = username1.trim();
-let letter = username1.charAt(0);
-letter = letter.toUpperCase();
-let extraChars = username1.slice(1);
-extraChars = extraChars.toLowerCase();
-username1 = letter + extraChars;
-console.log(username1);
-*/
-/* method chaining */
-username1 = username1.trim().charAt(0).toUpperCase() + username1.trim().slice(1).toLowerCase();
-console.log(username1);
\ No newline at end of file
+async function methodChainingDemo() {
+    const { ask } = await dialogs;
+    let username1 = (await ask("Enter your username: ")) ?? ""; // "" if cancelled, so .trim() still works
+    /* no method chaining */
+    /*
+    username1 = username1.trim();
+    let letter = username1.charAt(0);
+    letter = letter.toUpperCase();
+    let extraChars = username1.slice(1);
+    extraChars = extraChars.toLowerCase();
+    username1 = letter + extraChars;
+    console.log(username1);
+    */
+    /* method chaining */
+    // (capitalize() from Phase2/stringUtil.js does the same without breaking on emoji or accented first letters)
+    username1 = username1.trim().charAt(0).toUpperCase() + username1.trim().slice(1).toLowerCase();
+    console.log(username1);
+}
+// methodChainingDemo(); // -> "Method Chaining" demo in the catalog
+
+/* Demo Registry:
+    Every demo registers itself with a title, topic and tags, and the catalog on the page is built
+    from that list (no more onclick="..." buttons in the HTML). Deep link: index.html#demo/<id>
+    This is at the very end of a classic script: a syntax error anywhere in the file (e.g. declaring
+    the same name twice) stops the whole file, so none of this runs -> check with `node --check index.js` */
+import("../Phase2/demoRegistry.js").then(({ registerDemo }) => {
+    /* The playground's sandbox can't import dialog.js (and nobody could click a dialog in there), so the dialog demos
+        get a stand-in `dialogs`: ask() gives `answer`, confirmDialog() clicks OK -> change them in the editor to try the other paths */
+    const dialogSnippet = (demo, answer = "") => `const dialogs = Promise.resolve({
+    ask: async question => { console.log(question, ${JSON.stringify(answer)}); return ${JSON.stringify(answer)}; },
+    confirmDialog: async question => { console.log(question, "OK"); return true; },
+    notify: async message => console.log(message)
+});
+
+${demo}
+
+${demo.name}();`;
+    registerDemo({ id: "switch", title: "Switch Statement", topic: "Control Flow", tags: ["switch", "case", "date"], run: switchDemo });
+    registerDemo({ id: "logical-operators", title: "Logical Operators", topic: "Operators", tags: ["&&", "||", "!"], run: logicalDemo });
+    registerDemo({ id: "comparison-operators", title: "Comparison Operators", topic: "Operators", tags: ["==", "===", "!="], run: comparisonDemo });
+    registerDemo({ id: "string-methods", title: "String Methods", topic: "Strings", tags: ["toUpperCase", "slice", "includes"], run: stringMethodsDemo });
+    registerDemo({ id: "array-methods", title: "Array Methods", topic: "Arrays", tags: ["find", "some", "every", "sort"], run: arrayMethodsDemo });
+    registerDemo({ id: "for-in", title: "for...in Loop", topic: "Control Flow", tags: ["loop", "object"], run: forInDemo });
+    registerDemo({ id: "for-of", title: "for...of Loop", topic: "Control Flow", tags: ["loop", "array"], run: forOfDemo });
+    registerDemo({ id: "date-time", title: "Date/Time", topic: "Dates & Timers", tags: ["Date", "toLocaleDateString"], run: dateDemo });
+    registerDemo({ id: "timer", title: "Timer", topic: "Dates & Timers", tags: ["setTimeout"], run: timerDemo });
+    registerDemo({ id: "form-validation", title: "Form Validation", topic: "User Input", tags: ["email", "dialog"], run: formValidationDemo, snippet: dialogSnippet(formValidationDemo, "sapto@example.com") });
+    registerDemo({ id: "confirm", title: "Confirm", topic: "User Input", tags: ["confirm", "dialog"], run: confirmDemo, snippet: dialogSnippet(confirmDemo) });
+    registerDemo({ id: "try-catch-input", title: "Exception Handling", topic: "User Input", tags: ["try", "catch", "throw"], run: tryCatchInputDemo, snippet: dialogSnippet(tryCatchInputDemo, "42abc") });
+    registerDemo({ id: "json", title: "JSON", topic: "Objects", tags: ["stringify", "parse"], run: jsonDemo });
+    registerDemo({ id: "modules", title: "Module Usage", topic: "Modules", tags: ["import", "export"], run: moduleDemo });
+    // these ask for something, so they wait for a click instead of opening a dialog on page load
+    registerDemo({ id: "prompt", title: "Prompt", topic: "User Input", tags: ["prompt", "dialog", "Number"], run: askFavNumber, snippet: dialogSnippet(askFavNumber, "7") });
+    registerDemo({ id: "type-conversion", title: "Type Conversion", topic: "User Input", tags: ["Number", "typeof", "dialog"], run: typeConversionDemo, snippet: dialogSnippet(typeConversionDemo, "20") });
+    registerDemo({ id: "method-chaining", title: "Method Chaining", topic: "Strings", tags: ["trim", "toUpperCase", "dialog"], run: methodChainingDemo, snippet: dialogSnippet(methodChainingDemo, "  sAPTO  ") });
+    // console-only example -> a playground snippet (uncomment lines in the editor to try them)
+    registerDemo({ id: "arithmetic-operators", title: "Arithmetic Operators", topic: "Operators", tags: ["+=", "++", "%", "playground"], snippet: `let students = 31;
+students = students + 1;
+// students = students ** 2;
+let extraStudents = students % 3;
+console.log(\`Extra students = \${extraStudents}\`);
+
+let preIncrement = ++students; // Pre-increment: increases first, then assigns
+console.log(\`Pre-incremented students = \${preIncrement}\`);
+
+let postIncrement = students++; // Post-increment: assigns first, then increases
+console.log(\`Post-incremented students = \${postIncrement}\`);
+console.log(\`Students = \${students}\`);` });
+}).catch(error => console.error("The Phase1 demos couldn't be added to the catalog:", error)); // don't let the catalog go quietly empty
@@ -0,0 +1,59 @@
+/* Matrix demo: the 2D array from index.js, run through Phase2's matrixUtil and shown as tables */
+import { registerDemo } from '../Phase2/demoRegistry.js';
+import { matrix, identity, transpose, add, multiply, determinant, inverse, rowReduce, toTable, MatrixError } from '../Phase2/matrixUtil.js';
+
+const a = matrix([[1, 2, 3],
+                  [4, 5, 6],
+                  [7, 8, 9]]);
+const b = matrix([[2, 0, 1],
+                  [1, 3, 2],
+                  [1, 1, 2]]);
+
+function section(title, content){
+    const div = document.createElement("div");
+    const heading = document.createElement("b");
+    heading.textContent = title;
+    div.append(heading, typeof content === "object" ? toTable(content) : ` ${content}`);
+    return div;
+}
+
+function matrixDemo(){
+    const parts = [
+        section("A", a),
+        section("B", b),
+        section("Aᵀ", transpose(a)),
+        section("A + B", add(a, b)),
+        section("A × B", multiply(a, b)),
+        section("A × I", multiply(a, identity(3))),
+        section("det(A) =", determinant(a)),
+        section("det(B) =", determinant(b)),
+        section("B⁻¹", inverse(b)),
+        section("rref(A)", rowReduce(a))
+    ];
+    try {
+        inverse(a);
+    }
+    catch (error) {
+        if (!(error instanceof MatrixError)) throw error;
+        parts.push(section(`A⁻¹ -> ${error.name}:`, error.message));
+    }
+    document.getElementById("extraOutput").replaceChildren(...parts);
+}
+// matrixUtil.js can't be imported in the playground's sandbox -> the simple operations on plain 2D arrays, one row per line
+// (determinant, inverse and rref are on the Run button)
+const SNIPPET = `const a = [[1, 2, 3],
+           [4, 5, 6],
+           [7, 8, 9]];
+const b = [[2, 0, 1],
+           [1, 3, 2],
+           [1, 1, 2]];
+const transpose = m => m[0].map((_, column) => m.map(row => row[column]));
+const add = (m, n) => m.map((row, i) => row.map((value, j) => value + n[i][j]));
+// row i of m times column j of n
+const multiply = (m, n) => m.map(row => n[0].map((_, j) => row.reduce((sum, value, k) => sum + value * n[k][j], 0)));
+const show = (title, m) => console.log(\`\${title}\n\${m.map(row => row.join("\\t")).join("\\n")}\`);
+
+show("Aᵀ", transpose(a));
+show("A + B", add(a, b));
+show("A × B", multiply(a, b));`;
+registerDemo({ id: "matrix", title: "Matrix", topic: "Arrays", tags: ["2D array", "matrix", "table"], run: matrixDemo, snippet: SNIPPET });
@@ -0,0 +1,47 @@
+/* String Methods demo: the slicing/chaining examples from index.js next to Phase2's stringUtil,
+    with inputs (emoji, accents, multi-part names) where the plain string methods go wrong */
+import { registerDemo } from '../Phase2/demoRegistry.js';
+import { graphemes, graphemeLength, reverse, capitalize, titleCase, slugify, parseName, parseEmail, mask, maskEmail, truncate, InvalidEmailError } from '../Phase2/stringUtil.js';
+
+function compare(label, naive, better){
+    return `${label}\n    plain:      ${naive}\n    stringUtil: ${better}`;
+}
+
+function unicodeStringsDemo(){
+    const fullName = "Ludwig van Beethoven Jr.";
+    const { first, middle, last, suffix } = parseName(fullName);
+    const lines = [
+        compare('"👍🏽 café".length', "👍🏽 café".length, graphemeLength("👍🏽 café")),
+        compare('reverse "🇮🇳 नमस्ते"', [..."🇮🇳 नमस्ते"].reverse().join(""), reverse("🇮🇳 नमस्ते")),
+        compare('"Zoë" letters joined with "-"', [..."Zoë".normalize("NFD")].join("-"), graphemes("Zoë".normalize("NFD")).join("-")),
+        compare('capitalize "  éLODIE "', "  éLODIE ".trim().charAt(0).toUpperCase() + "  éLODIE ".trim().slice(1).toLowerCase(), capitalize("  éLODIE ")),
+        compare(`first/last name of "${fullName}"`,
+            `${fullName.slice(0, fullName.indexOf(" "))} / ${fullName.slice(fullName.indexOf(" ") + 1)}`,
+            `${first} / ${last} (middle: ${middle.join(" ") || "-"}, suffix: ${suffix || "-"})`),
+        compare('phone "123-456-7890"', "1234567890".padStart(15, "0"), mask("123-456-7890")),
+        `titleCase: ${titleCase("the lord of the rings")}, ${titleCase("jean-luc o'brien")}`,
+        `slugify: ${slugify("Crème Brûlée & Co!")}`,
+        `truncate: ${truncate("JavaScript Phase 1 Learnings/Reference", 20, { wordBoundary: true })}`,
+        `email: ${JSON.stringify(parseEmail("Sapto+news@Gmail.com"))}, masked: ${maskEmail("Sapto123@gmail.com")}`
+    ];
+    try {
+        parseEmail("Sapto123gmail.com");
+    }
+    catch (error) {
+        if (!(error instanceof InvalidEmailError)) throw error;
+        lines.push(`${error.name}: ${error.message}`);
+    }
+    document.getElementById("extraOutput").innerText = lines.join("\n");
+}
+// stringUtil.js can't be imported in the playground's sandbox -> its graphemes() in a few lines and the comparisons built on it
+// (capitalize, names, emails and masks are on the Run button)
+const SNIPPET = `// a grapheme = what a person sees as one character (👍🏽 is two code points, the Indian flag two letters)
+function graphemes(str) {
+    return Array.from(new Intl.Segmenter(undefined, { granularity: "grapheme" }).segment(str), ({ segment }) => segment);
+}
+${compare}
+
+console.log(compare('"👍🏽 café".length', "👍🏽 café".length, graphemes("👍🏽 café").length));
+console.log(compare('reverse "🇮🇳 नमस्ते"', [..."🇮🇳 नमस्ते"].reverse().join(""), graphemes("🇮🇳 नमस्ते").reverse().join("")));
+console.log(compare('"Zoë" letters joined with "-"', [..."Zoë".normalize("NFD")].join("-"), graphemes("Zoë".normalize("NFD")).join("-")));`;
+registerDemo({ id: "unicode-strings", title: "Unicode Strings", topic: "Strings", tags: ["emoji", "grapheme", "slugify", "mask"], run: unicodeStringsDemo, snippet: SNIPPET });
@@ -0,0 +1,83 @@
+/* Tic-tac-toe board: the game's 2D array (board[row][col], like the matrix in index.js) drawn as a grid of buttons.
+    Rules and the minimax AI live in Phase2/ticTacToe.js. */
+import { TicTacToe, bestMove, otherPlayer } from '../Phase2/ticTacToe.js';
+
+const AI_DELAY = 400; // ms, so the computer's move doesn't appear at the same instant as yours
+
+const tttMode = document.getElementById("tttMode");
+const tttDifficulty = document.getElementById("tttDifficulty");
+const tttSide = document.getElementById("tttSide");
+const tttUndo = document.getElementById("tttUndo");
+const tttNew = document.getElementById("tttNew");
+const tttBoard = document.getElementById("tttBoard");
+const tttStatus = document.getElementById("tttStatus");
+
+const game = new TicTacToe();
+let aiTimer = null;
+
+const vsAI = () => tttMode.value === "ai";
+const aiPlayer = () => otherPlayer(tttSide.value);
+
+// one button per cell, built from the board array
+const cells = game.board.map((row, r) => row.map((_, c) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.addEventListener("click", () => humanMove(r, c));
+    tttBoard.append(button);
+    return button;
+}));
+
+function render(){
+    const { state, winner, line } = game.status;
+    const aiThinking = aiTimer !== null;
+    game.board.forEach((row, r) => row.forEach((value, c) => {
+        const button = cells[r][c];
+        button.textContent = value ?? "";
+        button.setAttribute("aria-label", `Row ${r + 1}, column ${c + 1}: ${value ?? "empty"}`);
+        button.disabled = value !== null || state !== "playing" || aiThinking;
+        button.classList.toggle("win", line?.some(([lr, lc]) => lr === r && lc === c) ?? false);
+    }));
+    if(state === "won") tttStatus.textContent = vsAI() ? (winner === aiPlayer() ? "The computer wins!" : "You win! 🎉") : `${winner} wins! 🎉`;
+    else if(state === "draw") tttStatus.textContent = "It's a draw.";
+    else if(aiThinking) tttStatus.textContent = "Computer is thinking...";
+    else tttStatus.textContent = vsAI() ? `Your turn (${game.currentPlayer})` : `${game.currentPlayer}'s turn`;
+    tttUndo.disabled = game.history.length === 0 || aiThinking;
+    tttDifficulty.disabled = tttSide.disabled = !vsAI();
+}
+
+function aiTurn(){
+    if(!vsAI() || game.status.state !== "playing" || game.currentPlayer !== aiPlayer()) return;
+    aiTimer = setTimeout(() => {
+        aiTimer = null;
+        const [row, col] = bestMove(game.board, aiPlayer(), { difficulty: tttDifficulty.value });
+        game.play(row, col);
+        render();
+    }, AI_DELAY);
+    render();
+}
+function humanMove(row, col){
+    game.play(row, col); // the buttons of taken cells are disabled, so this can't be an illegal move
+    render();
+    aiTurn();
+}
+function cancelAI(){
+    clearTimeout(aiTimer);
+    aiTimer = null;
+}
+function newGame(){
+    cancelAI();
+    game.reset();
+    render();
+    aiTurn(); // the computer goes first when you play O
+}
+
+tttUndo.addEventListener("click", () => {
+    cancelAI();
+    // against the computer, take back its reply too, so it's your turn again
+    game.undo(vsAI() && game.currentPlayer !== aiPlayer() ? 2 : 1);
+    render();
+    aiTurn(); // e.g. when undo went back to the computer's first move
+});
+tttNew.addEventListener("click", newGame);
+[tttMode, tttSide].forEach(select => select.addEventListener("change", newGame));
+render();
@@ -0,0 +1,33 @@
+/* Fetch User demo: fetchUserData() from index.js against Phase2's mock API,
+    which answers /api/users/:id locally (there's no backend behind this page) */
+import { registerDemo } from '../Phase2/demoRegistry.js';
+import { installMockApi, MOCK_API_SNIPPET } from '../Phase2/mockApi.js';
+
+installMockApi();
+
+const fetchUserData = async (userId) => {
+    try {
+        const response = await fetch(`/api/users/${userId}`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`); // fetch() only rejects on network errors, not on a 404
+        return await response.json();
+    } catch (error) {
+        console.error('Error fetching user:', error);
+        return null;
+    }
+};
+
+async function fetchUserDemo() {
+    const output = document.getElementById("extraOutput");
+    output.innerText = "Fetching users 1 to 4...";
+    const users = await Promise.all([1, 2, 3, 4].map(fetchUserData));
+    output.innerText = users
+        .map((user, i) => user ? `User ${i + 1}: ${user.name} (${user.email}), ${user.age}` : `User ${i + 1}: not found`)
+        .join("\n");
+}
+registerDemo({ id: "fetch-user", title: "Fetch User", topic: "Async", tags: ["fetch", "async", "await", "api"], run: fetchUserDemo, snippet: `${MOCK_API_SNIPPET}
+
+const fetchUserData = ${fetchUserData};
+
+${fetchUserDemo}
+
+fetchUserDemo();` }); // the playground's sandbox has no installMockApi(), so the snippet brings its own
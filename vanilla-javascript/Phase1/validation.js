@@ -0,0 +1,18 @@
+/* Validation for the Phase1 inputs, declared once per field (see Phase2/validator.js) */
+import { FormValidator, rules } from '../Phase2/validator.js';
+
+const validator = new FormValidator({
+    inputBox: [rules.required("Type something first"), rules.maxLength(100)],
+    favNumInput: [rules.required("Enter your favorite number"), rules.number("That's not a valid number!")]
+});
+
+document.getElementById("readInputBtn").addEventListener("click", async () => {
+    if (!(await validator.validateField("inputBox"))) return;
+    const input = document.getElementById("inputBox").value;
+    document.getElementById("outputBox").innerText = "You typed: " + input;
+});
+document.getElementById("favNumBtn").addEventListener("click", async () => {
+    if (!(await validator.validateField("favNumInput"))) return;
+    const num = Number(document.getElementById("favNumInput").value);
+    document.getElementById("favNumOutput").innerText = `Your favorite number is ${num}`;
+});
@@ -0,0 +1,158 @@
+/* Local authentication (replaces the prompt() login loop from Phase1):
+    - passwords are never stored, only a PBKDF2 hash (WebCrypto) with a random salt per user
+    - too many wrong passwords in a row lock the account for a while
+    - a session is kept with an expiry time, after which getSession() returns null
+    Everything is async (WebCrypto is), so nothing blocks the page the way window.prompt() did.
+
+    Note: this is still all in the browser, so it protects the stored passwords, not a real server. */
+
+const USERS_KEY = "authUsers";
+const SESSION_KEY = "authSession";
+const ITERATIONS = 100000;
+export const MAX_FAILED_ATTEMPTS = 5;
+export const LOCK_DURATION = 5 * 60 * 1000; // 5 minutes
+export const SESSION_DURATION = 30 * 60 * 1000; // 30 minutes
+export const MIN_PASSWORD_LENGTH = 8;
+
+export class AuthError extends Error {
+    constructor(message){
+        super(message);
+        this.name = "AuthError";
+    }
+}
+export class RegistrationError extends AuthError {
+    constructor(message){
+        super(message);
+        this.name = "RegistrationError";
+    }
+}
+// the same error for a wrong username and a wrong password, so nobody can find out which usernames exist
+// (no "N attempts left" either: only a real account has attempts to count)
+export class InvalidCredentialsError extends AuthError {
+    constructor(){
+        super("Invalid username or password");
+        this.name = "InvalidCredentialsError";
+    }
+}
+export class AccountLockedError extends AuthError {
+    constructor(lockedUntil){
+        super(`Too many failed attempts, try again after ${new Date(lockedUntil).toLocaleTimeString()}`);
+        this.name = "AccountLockedError";
+        this.lockedUntil = lockedUntil;
+    }
+}
+
+const toBase64 = bytes => btoa(String.fromCharCode(...bytes));
+const fromBase64 = text => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+async function hashPassword(password, salt, iterations){
+    const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(password), "PBKDF2", false, ["deriveBits"]);
+    const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", salt, iterations, hash: "SHA-256" }, key, 256);
+    return new Uint8Array(bits);
+}
+// compares every byte even after a mismatch, so the time taken doesn't give away how much matched
+function equalBytes(a, b){
+    if(a.length !== b.length) return false;
+    let difference = 0;
+    for(let i = 0; i < a.length; i++){
+        difference |= a[i] ^ b[i];
+    }
+    return difference === 0;
+}
+const normalize = username => username.trim().toLowerCase();
+// a login with an unknown username is hashed against this, so it takes as long as a wrong password does
+const DUMMY_SALT = crypto.getRandomValues(new Uint8Array(16));
+// JSON from storage, or null when it's missing or corrupted (e.g. edited by hand)
+function readJSON(storage, key){
+    try {
+        return JSON.parse(storage.getItem(key));
+    }
+    catch {
+        return null;
+    }
+}
+
+export class Auth {
+    constructor({ storage = localStorage, now = () => Date.now() } = {}){
+        this.storage = storage;
+        this.now = now;
+    }
+    // no prototype -> a username like "constructor" or "__proto__" is just a key, not something inherited from Object
+    loadUsers(){
+        const saved = readJSON(this.storage, USERS_KEY);
+        const users = Object.create(null);
+        if(saved && typeof saved === "object" && !Array.isArray(saved)){
+            Object.keys(saved).forEach(key => users[key] = saved[key]);
+        }
+        return users;
+    }
+    saveUsers(users){
+        this.storage.setItem(USERS_KEY, JSON.stringify(users));
+    }
+    async register(username, password){
+        const key = normalize(username);
+        if(!/^[a-z0-9_.-]{3,32}$/.test(key)){
+            throw new RegistrationError("Username must be 3-32 characters: letters, numbers, _ . or -");
+        }
+        if(password.length < MIN_PASSWORD_LENGTH){
+            throw new RegistrationError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+        const users = this.loadUsers();
+        if(Object.hasOwn(users, key)){
+            throw new RegistrationError("That username is already taken");
+        }
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const hash = await hashPassword(password, salt, ITERATIONS);
+        users[key] = {
+            username: username.trim(),
+            salt: toBase64(salt),
+            hash: toBase64(hash),
+            iterations: ITERATIONS,
+            failedAttempts: 0,
+            lockedUntil: 0
+        };
+        this.saveUsers(users);
+    }
+    async login(username, password){
+        const key = normalize(username);
+        const users = this.loadUsers();
+        const user = Object.hasOwn(users, key) ? users[key] : null;
+        if(!user){
+            await hashPassword(password, DUMMY_SALT, ITERATIONS);
+            throw new InvalidCredentialsError();
+        }
+        if(user.lockedUntil > this.now()){
+            throw new AccountLockedError(user.lockedUntil);
+        }
+        const hash = await hashPassword(password, fromBase64(user.salt), user.iterations);
+        if(!equalBytes(hash, fromBase64(user.hash))){
+            user.failedAttempts++;
+            if(user.failedAttempts >= MAX_FAILED_ATTEMPTS){
+                user.failedAttempts = 0;
+                user.lockedUntil = this.now() + LOCK_DURATION;
+                this.saveUsers(users);
+                throw new AccountLockedError(user.lockedUntil);
+            }
+            this.saveUsers(users);
+            throw new InvalidCredentialsError();
+        }
+        user.failedAttempts = 0;
+        user.lockedUntil = 0;
+        this.saveUsers(users);
+        const session = { username: user.username, expiresAt: this.now() + SESSION_DURATION };
+        this.storage.setItem(SESSION_KEY, JSON.stringify(session));
+        return session;
+    }
+    logout(){
+        this.storage.removeItem(SESSION_KEY);
+    }
+    // the current session, or null if nobody is logged in or it has expired
+    getSession(){
+        const session = readJSON(this.storage, SESSION_KEY);
+        if(session && session.expiresAt > this.now()){
+            return session;
+        }
+        this.logout();
+        return null;
+    }
+}
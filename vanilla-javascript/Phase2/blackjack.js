@@ -0,0 +1,124 @@
+/* Blackjack rules (no DOM here, the table UI is in blackjackTable.js):
+    - 6-deck shoe, dealer stands on every 17 (soft or hard)
+    - blackjack pays 3:2 (rounded down), a normal win pays 1:1, a push gives the bet back
+    - double = double the bet, take exactly one more card, then stand */
+import { Deck, scoreHand, isBlackjack } from './deck.js';
+
+export const DEALER_STANDS_ON = 17;
+
+export class GameError extends Error {
+    constructor(message){
+        super(message);
+        this.name = "GameError";
+    }
+}
+
+export class BlackjackGame {
+    constructor({ deck = new Deck({ decks: 6 }), balance = 1000 } = {}){
+        this.deck = deck;
+        this.balance = balance;
+        this.phase = "betting"; // betting -> player -> finished -> (next deal)
+        this.bet = 0;
+        this.playerHand = [];
+        this.dealerHand = [];
+        this.result = null;
+    }
+    get playerScore(){
+        return scoreHand(this.playerHand);
+    }
+    get dealerScore(){
+        return scoreHand(this.dealerHand);
+    }
+    get canDouble(){
+        return this.phase === "player" && this.playerHand.length === 2 && this.balance >= this.bet;
+    }
+    deal(bet){
+        if(this.phase === "player"){
+            throw new GameError("Finish the current hand first");
+        }
+        if(!Number.isInteger(bet) || bet < 1){
+            throw new GameError("The bet must be a whole number of chips, at least 1");
+        }
+        if(bet > this.balance){
+            throw new GameError(`You only have ${this.balance} chips`);
+        }
+        this.deck.discard([...this.playerHand, ...this.dealerHand]);
+        this.balance -= bet;
+        this.bet = bet;
+        this.result = null;
+        [this.playerHand, this.dealerHand] = this.deck.deal(2, 2);
+        this.phase = "player";
+        if(isBlackjack(this.playerHand) || isBlackjack(this.dealerHand)){
+            this.settle();
+        }
+    }
+    hit(){
+        this.expectPlayerTurn();
+        this.playerHand.push(...this.deck.draw());
+        const { total } = this.playerScore;
+        if(total > 21) this.settle();
+        else if(total === 21) this.stand(); // nothing better to do with 21
+    }
+    stand(){
+        this.expectPlayerTurn();
+        this.playDealer();
+        this.settle();
+    }
+    double(){
+        this.expectPlayerTurn();
+        if(!this.canDouble){
+            throw new GameError("You can only double on your first two cards, with enough chips to match your bet");
+        }
+        this.balance -= this.bet;
+        this.bet *= 2;
+        this.playerHand.push(...this.deck.draw());
+        if(!this.playerScore.bust) this.playDealer();
+        this.settle();
+    }
+    // dealer AI: no choices, it just follows the house rule
+    playDealer(){
+        while(this.dealerScore.total < DEALER_STANDS_ON){
+            this.dealerHand.push(...this.deck.draw());
+        }
+    }
+    expectPlayerTurn(){
+        if(this.phase !== "player"){
+            throw new GameError("It isn't your turn, place a bet and deal first");
+        }
+    }
+    settle(){
+        const player = this.playerScore.total;
+        const dealer = this.dealerScore.total;
+        const playerBlackjack = isBlackjack(this.playerHand);
+        const dealerBlackjack = isBlackjack(this.dealerHand);
+        let payout = 0;
+        if(playerBlackjack && dealerBlackjack){
+            this.result = "push";
+            payout = this.bet;
+        }
+        else if(playerBlackjack){
+            this.result = "blackjack";
+            payout = this.bet + Math.floor(this.bet * 1.5);
+        }
+        else if(dealerBlackjack){
+            this.result = "dealerBlackjack";
+        }
+        else if(player > 21){
+            this.result = "bust";
+        }
+        else if(dealer > 21 || player > dealer){
+            this.result = "win";
+            payout = this.bet * 2;
+        }
+        else if(player === dealer){
+            this.result = "push";
+            payout = this.bet;
+        }
+        else{
+            this.result = "lose";
+        }
+        this.balance += payout;
+        this.phase = "finished";
+        return this.result;
+    }
+}
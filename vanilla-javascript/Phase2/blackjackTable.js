@@ -0,0 +1,93 @@
+/* Blackjack table: connects BlackjackGame to the page. The chip balance is kept in localStorage. */
+import { BlackjackGame, GameError } from './blackjack.js';
+
+const CHIPS_KEY = "blackjackChips";
+const STARTING_CHIPS = 1000;
+const MESSAGES = {
+    blackjack: "Blackjack! You win 3:2 🎉",
+    win: "You win!",
+    push: "Push, your bet is returned.",
+    lose: "Dealer wins.",
+    bust: "Bust! You went over 21.",
+    dealerBlackjack: "Dealer has blackjack."
+};
+
+// a stored 0 is a real balance (broke -> Reset), only a missing or broken value starts over
+const storedChips = localStorage.getItem(CHIPS_KEY);
+const savedChips = storedChips !== null ? Number(storedChips) : NaN;
+const game = new BlackjackGame({ balance: Number.isFinite(savedChips) && savedChips >= 0 ? savedChips : STARTING_CHIPS });
+
+const bjChips = document.getElementById("bjChips");
+const bjBet = document.getElementById("bjBet");
+const bjDeal = document.getElementById("bjDeal");
+const bjHit = document.getElementById("bjHit");
+const bjStand = document.getElementById("bjStand");
+const bjDouble = document.getElementById("bjDouble");
+const bjReset = document.getElementById("bjReset");
+const bjDealerHand = document.getElementById("bjDealerHand");
+const bjDealerScore = document.getElementById("bjDealerScore");
+const bjPlayerHand = document.getElementById("bjPlayerHand");
+const bjPlayerScore = document.getElementById("bjPlayerScore");
+const bjMessage = document.getElementById("bjMessage");
+
+function cardElement(card, faceDown = false){
+    const div = document.createElement("div");
+    div.className = "card";
+    if(faceDown){
+        div.classList.add("face-down");
+        div.setAttribute("aria-label", "face-down card");
+    }
+    else{
+        div.textContent = card.toString();
+        if(card.isRed) div.classList.add("red");
+    }
+    return div;
+}
+function describeScore({ total, soft }){
+    return soft ? `(soft ${total})` : `(${total})`;
+}
+
+function render(){
+    const playing = game.phase === "player";
+    bjChips.textContent = game.balance;
+    bjPlayerHand.replaceChildren(...game.playerHand.map(card => cardElement(card)));
+    // the dealer's second card (the "hole card") stays hidden until the player is done
+    bjDealerHand.replaceChildren(...game.dealerHand.map((card, i) => cardElement(card, playing && i === 1)));
+    bjPlayerScore.textContent = game.playerHand.length ? describeScore(game.playerScore) : "";
+    bjDealerScore.textContent = game.dealerHand.length && !playing ? describeScore(game.dealerScore) : "";
+    bjDeal.disabled = playing;
+    bjHit.disabled = !playing;
+    bjStand.disabled = !playing;
+    bjDouble.disabled = !game.canDouble;
+    if(game.phase === "finished") bjMessage.textContent = MESSAGES[game.result];
+    // not in the middle of a hand: the bet is already taken off the balance, a reload would lose it
+    if(!playing) localStorage.setItem(CHIPS_KEY, game.balance);
+}
+
+function act(action){
+    try {
+        action();
+    }
+    catch (error) {
+        if (!(error instanceof GameError)) throw error;
+        bjMessage.textContent = error.message;
+        return;
+    }
+    if(game.phase === "player") bjMessage.textContent = "Hit, stand or double?";
+    render();
+}
+
+bjDeal.addEventListener("click", () => act(() => game.deal(Number(bjBet.value))));
+bjHit.addEventListener("click", () => act(() => game.hit()));
+bjStand.addEventListener("click", () => act(() => game.stand()));
+bjDouble.addEventListener("click", () => act(() => game.double()));
+bjReset.addEventListener("click", () => {
+    if(game.phase === "player"){
+        bjMessage.textContent = "Finish the current hand first";
+        return;
+    }
+    game.balance = STARTING_CHIPS;
+    bjMessage.textContent = `Chips reset to ${STARTING_CHIPS}.`;
+    render();
+});
+render();
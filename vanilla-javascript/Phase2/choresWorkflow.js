@@ -0,0 +1,104 @@
+/* Chores workflow: walkDog/cleanKitchen/takeOutTrash from main.js as a Workflow (workflow.js), with a live view.
+    Instead of the hard-coded `dogWalked = false`, every chore has a select to make it fail, fail once (a retry fixes it)
+    or hang (its timeout stops it). Run again after a failure -> the chores that are already done are skipped. */
+import { Workflow, WorkflowFailedError, WorkflowCancelledError } from './workflow.js';
+
+// duration: ms of work, retries/timeout: the task's policy
+const CHORES = [
+    { id: "walkDog", duration: 1500, retries: 2, done: "You've taken the dog on a walk 🐕", failed: "You DIDN'T walk the dog" },
+    { id: "cleanKitchen", duration: 2500, retries: 1, done: "You've cleaned the kitchen 🧹", failed: "You DIDN'T clean the kitchen" },
+    { id: "takeOutTrash", duration: 500, retries: 1, dependsOn: ["cleanKitchen"], done: "You've taken out the trash ♻", failed: "You DIDN'T take out the trash" },
+    { id: "finish", duration: 0, dependsOn: ["walkDog", "takeOutTrash"], done: "You've finished all the chores!", failed: "You DIDN'T finish the chores" }
+];
+const MODES = { works: "works", once: "fails once", fails: "always fails", hangs: "hangs" };
+
+const choresTasks = document.getElementById("choresTasks");
+const choresRun = document.getElementById("choresRun");
+const choresCancel = document.getElementById("choresCancel");
+const choresReset = document.getElementById("choresReset");
+const choresMessage = document.getElementById("choresMessage");
+
+// like the setTimeout() in walkDog(), but it stops when the workflow cancels it or it times out
+function work(ms, signal){
+    return new Promise((resolve, reject) => {
+        const timer = ms === Infinity ? null : setTimeout(resolve, ms);
+        signal.addEventListener("abort", () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        }, { once: true });
+    });
+}
+
+const rows = new Map(); // id -> { li, mode, state }
+const workflow = new Workflow(CHORES.map(chore => ({
+    id: chore.id,
+    dependsOn: chore.dependsOn,
+    retries: chore.retries,
+    retryDelay: 300,
+    timeout: chore.duration * 2 || 0, // a hanging chore gives up after twice its usual time
+    run: async ({ signal, attempt }) => {
+        const mode = rows.get(chore.id).mode.value;
+        await work(mode === "hangs" ? Infinity : chore.duration, signal);
+        if(mode === "fails" || (mode === "once" && attempt === 1)) throw chore.failed;
+        return chore.done;
+    }
+})));
+
+CHORES.forEach(chore => {
+    const li = document.createElement("li");
+    const name = document.createElement("b");
+    name.textContent = chore.id;
+    const deps = document.createElement("span");
+    deps.className = "chore-deps";
+    deps.textContent = chore.dependsOn ? ` after ${chore.dependsOn.join(" and ")}` : "";
+    const mode = document.createElement("select");
+    mode.setAttribute("aria-label", `What ${chore.id} does`);
+    Object.entries(MODES).forEach(([value, text]) => mode.add(new Option(text, value)));
+    if(chore.id === "walkDog") mode.value = "once"; // the dog wasn't walked in the original either
+    const state = document.createElement("span");
+    state.className = "chore-state";
+    li.append(name, deps, " ", mode, " ", state);
+    choresTasks.append(li);
+    rows.set(chore.id, { li, mode, state });
+});
+
+function renderTask(task){
+    const { li, state } = rows.get(task.id);
+    li.className = `chore ${task.state}`;
+    let text = task.state;
+    if(task.state === "running" && task.attempts > 1) text += ` (try ${task.attempts} of ${task.retries + 1}, last one: ${task.error?.message ?? task.error})`;
+    else if(task.state === "done") text += `: ${task.result}`;
+    else if(task.state === "failed") text += `: ${task.error.message}`;
+    state.textContent = text;
+}
+function renderButtons(){
+    choresRun.textContent = [...workflow.tasks.values()].some(task => task.state !== "pending") ? "Run what's left" : "Run";
+    choresRun.disabled = workflow.running || [...workflow.tasks.values()].every(task => task.state === "done");
+    choresCancel.disabled = !workflow.running;
+    choresReset.disabled = workflow.running;
+}
+workflow.addEventListener("change", ({ detail: task }) => renderTask(task));
+workflow.tasks.forEach(renderTask);
+renderButtons();
+
+choresRun.addEventListener("click", async () => {
+    choresMessage.textContent = "Working on it...";
+    const run = workflow.run();
+    renderButtons();
+    try {
+        const results = await run;
+        choresMessage.textContent = results.finish;
+    }
+    catch (error) {
+        if(error instanceof WorkflowFailedError) choresMessage.textContent = `${error.message}. Fix it and run again, the finished chores are kept.`;
+        else if(error instanceof WorkflowCancelledError) choresMessage.textContent = "Cancelled, the chores that were in progress start over next time.";
+        else throw error;
+    }
+    renderButtons();
+});
+choresCancel.addEventListener("click", () => workflow.cancel());
+choresReset.addEventListener("click", () => {
+    workflow.reset();
+    choresMessage.textContent = "";
+    renderButtons();
+});
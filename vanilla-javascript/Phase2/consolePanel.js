@@ -0,0 +1,516 @@
+/* In-page console panel: everything written with console.* also shows up on the page,
+    so the examples that only log to DevTools (closures, classes, console.time...) can be followed without opening it.
+
+    import { installConsolePanel } from './consolePanel.js';
+    installConsolePanel(); // as early as possible, only what's logged after this is captured
+
+    - objects/arrays/maps/sets are expandable trees (children are only built when opened)
+    - filter by level, timestamps, clear, copy (as plain text)
+    - console.group()/groupEnd() nest, console.time()/timeEnd() show the duration
+    - "Group by section" sorts the entries under the nearest /* Heading comment above the line that logged them
+    - uncaught errors and rejected promises are logged as errors too
+    - the real console still gets every call, and the panel can be docked at the bottom or the right */
+
+const LEVELS = ["log", "info", "warn", "error", "debug"];
+const MAX_ENTRIES = 1000;
+const STORAGE_KEY = "consolePanel";
+
+const STYLES = `
+.console-panel {
+    position: fixed;
+    z-index: 900;
+    display: flex;
+    flex-direction: column;
+    background-color: #1e1e1e;
+    color: #dcdcdc;
+    font-family: 'Consolas', 'Menlo', monospace;
+    font-size: 0.8rem;
+    box-shadow: 0 0 12px hsla(0, 0%, 0%, 0.4);
+}
+.console-panel[data-dock="bottom"] {
+    left: 0;
+    right: 0;
+    bottom: 0;
+    height: 35vh;
+}
+.console-panel[data-dock="right"] {
+    top: 0;
+    right: 0;
+    bottom: 0;
+    width: min(450px, 100vw);
+}
+.console-panel.collapsed {
+    height: auto;
+    top: auto;
+}
+.console-panel.collapsed .console-entries {
+    display: none;
+}
+.console-toolbar {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 6px;
+    padding: 4px 8px;
+    background-color: #2d2d2d;
+}
+.console-toolbar button, .console-toolbar select {
+    font: inherit;
+    padding: 2px 6px;
+}
+.console-title {
+    font-weight: bold;
+    margin-right: auto;
+}
+.console-badge {
+    margin-left: 4px;
+    padding: 0 6px;
+    border-radius: 8px;
+    background-color: #c0392b;
+    color: white;
+}
+.console-badge:empty {
+    display: none;
+}
+.console-entries {
+    flex: 1;
+    overflow: auto;
+    margin: 0;
+    padding: 0;
+    list-style: none;
+}
+.console-entries li {
+    padding: 2px 8px;
+    border-bottom: 1px solid #333;
+    white-space: pre-wrap;
+    word-break: break-word;
+}
+.console-entries ul {
+    list-style: none;
+    margin: 0;
+    padding-left: 16px;
+}
+.console-time {
+    color: #888;
+    margin-right: 6px;
+}
+.console-warn {
+    background-color: hsla(45, 100%, 30%, 0.25);
+    color: #f5d76e;
+}
+.console-error {
+    background-color: hsla(0, 100%, 30%, 0.25);
+    color: #ff8a80;
+}
+.console-info {
+    color: #8ab4f8;
+}
+.console-debug {
+    color: #999;
+}
+.console-section > summary {
+    padding: 4px 8px;
+    background-color: #264f78;
+    color: white;
+    cursor: pointer;
+}
+.console-entries details details, .console-entries li > details {
+    display: inline-block;
+    vertical-align: top;
+}
+.console-entries summary {
+    cursor: pointer;
+}
+.console-string {
+    color: #ce9178;
+}
+.console-number, .console-boolean, .console-bigint {
+    color: #b5cea8;
+}
+.console-null, .console-undefined {
+    color: #888;
+}
+.console-key {
+    color: #9cdcfe;
+}
+.console-entries table {
+    border-collapse: collapse;
+    margin: 4px 0;
+}
+.console-entries th, .console-entries td {
+    border: 1px solid #555;
+    padding: 2px 6px;
+    text-align: left;
+}`;
+function ensureStyles(){
+    if(document.getElementById("console-panel-styles")) return;
+    const style = document.createElement("style");
+    style.id = "console-panel-styles";
+    style.textContent = STYLES;
+    document.head.append(style);
+}
+
+/* Section lookup: the stack trace of each call says which file and line logged it,
+    the file is fetched once and the heading is the closest "/* Something" comment above that line.
+    (Doesn't work when the page is opened from file://, the entries then end up under "file.js:line") */
+const sources = new Map();
+function callSite(){
+    const ownFile = import.meta.url;
+    const matches = (new Error().stack ?? "").matchAll(/((?:https?|file):\/\/[^\s()]+?):(\d+):\d+/g);
+    for(const [, url, line] of matches){
+        if(url !== ownFile) return { url, line: Number(line) };
+    }
+    return null;
+}
+function headingsOf(url){
+    if(!sources.has(url)){
+        sources.set(url, fetch(url)
+            .then(response => response.ok ? response.text() : "")
+            .then(text => text.split("\n").map(line => {
+                const match = line.match(/^\/\*\s*([^*]+)/);
+                if(!match || match[1].includes(");")) return null; // "/* greet(sup(bidbye));" is commented out code, not a heading
+                const heading = match[1].split(/:\s|:$|\(|\s->/)[0].trim();
+                return heading && !heading.includes("=") ? heading : null;
+            }))
+            .catch(() => []));
+    }
+    return sources.get(url);
+}
+async function sectionOf(site){
+    if(!site) return "Other";
+    const fileName = site.url.split("/").pop();
+    const headings = await headingsOf(site.url);
+    for(let i = site.line - 1; i >= 0; i--){
+        if(headings[i]) return `${fileName}: ${headings[i]}`;
+    }
+    return `${fileName}:${site.line}`;
+}
+
+// ---- rendering values ----
+function span(className, text){
+    const element = document.createElement("span");
+    element.className = className;
+    element.textContent = text;
+    return element;
+}
+function isTree(value){
+    return value !== null && typeof value === "object";
+}
+function preview(value){
+    if(Array.isArray(value)) return `Array(${value.length})`;
+    if(value instanceof Map) return `Map(${value.size})`;
+    if(value instanceof Set) return `Set(${value.size})`;
+    if(value instanceof Error) return `${value.name}: ${value.message}`;
+    if(value instanceof Element) return `<${value.tagName.toLowerCase()}${value.id ? "#" + value.id : ""}>`;
+    const name = value.constructor?.name;
+    return name && name !== "Object" ? `${name} {…}` : "{…}";
+}
+function childrenOf(value){
+    if(value instanceof Map) return [...value].map(([key, item], index) => [index, { key, value: item }]);
+    if(value instanceof Set) return [...value].map((item, index) => [index, item]);
+    if(value instanceof Error) return [["stack", value.stack]];
+    return Object.entries(value);
+}
+function renderValue(value){
+    if(typeof value === "string") return span("console-string", value);
+    if(typeof value === "function") return span("console-function", `ƒ ${value.name || "anonymous"}()`);
+    if(!isTree(value)) return span(`console-${value === null ? "null" : typeof value}`, String(value) + (typeof value === "bigint" ? "n" : ""));
+    const details = document.createElement("details");
+    const summary = document.createElement("summary");
+    summary.textContent = preview(value);
+    details.append(summary);
+    // built on first open -> big or circular objects cost nothing until someone looks at them
+    details.addEventListener("toggle", () => {
+        if(!details.open || details.dataset.built) return;
+        details.dataset.built = "true";
+        const list = document.createElement("ul");
+        childrenOf(value).forEach(([key, item]) => {
+            const li = document.createElement("li");
+            li.append(span("console-key", `${key}: `), renderValue(item));
+            list.append(li);
+        });
+        details.append(list);
+    });
+    return details;
+}
+// plain text version, used for Copy
+function toText(value){
+    if(typeof value === "string") return value;
+    if(value instanceof Error) return value.stack ?? `${value.name}: ${value.message}`;
+    if(typeof value === "function") return `ƒ ${value.name || "anonymous"}()`;
+    if(value instanceof Map || value instanceof Set) return `${preview(value)} ${JSON.stringify([...value])}`;
+    try {
+        return JSON.stringify(value) ?? String(value);
+    }
+    catch {
+        return preview(value); // circular
+    }
+}
+function renderTable(data){
+    const rows = Object.entries(data);
+    const columns = [...new Set(rows.flatMap(([, row]) => isTree(row) ? Object.keys(row) : ["Value"]))];
+    const table = document.createElement("table");
+    const head = table.insertRow();
+    ["(index)", ...columns].forEach(column => head.append(Object.assign(document.createElement("th"), { textContent: column })));
+    rows.forEach(([index, row]) => {
+        const tr = table.insertRow();
+        tr.insertCell().textContent = index;
+        columns.forEach(column => {
+            const cell = tr.insertCell();
+            const item = isTree(row) ? row[column] : column === "Value" ? row : undefined;
+            if(item !== undefined) cell.append(renderValue(item));
+        });
+    });
+    return table;
+}
+
+// dock and collapsed from last time -> a broken or hand-edited value just means the defaults
+function loadSettings(){
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return typeof saved === "object" && saved !== null ? saved : {};
+    }
+    catch {
+        return {};
+    }
+}
+// errors anywhere in the list, including inside groups
+function countErrors(items){
+    return items.reduce((count, entry) => count + (entry.group !== undefined ? countErrors(entry.children) : entry.level === "error" ? 1 : 0), 0);
+}
+
+let installed = false;
+export function installConsolePanel({ dock = "bottom" } = {}){
+    if(installed) return;
+    installed = true;
+    ensureStyles();
+    const saved = loadSettings();
+    const panel = document.createElement("section");
+    panel.className = "console-panel";
+    panel.setAttribute("aria-label", "Console");
+    panel.dataset.dock = saved.dock ?? dock;
+    panel.classList.toggle("collapsed", saved.collapsed ?? true);
+    panel.innerHTML = `
+        <div class="console-toolbar">
+            <span class="console-title">Console<span class="console-badge" title="Errors"></span></span>
+            <select class="console-level" aria-label="Level">
+                <option value="all">All levels</option>
+                ${LEVELS.map(level => `<option value="${level}">${level}</option>`).join("")}
+            </select>
+            <label><input type="checkbox" class="console-timestamps" checked> Timestamps</label>
+            <label><input type="checkbox" class="console-sections"> Group by section</label>
+            <button type="button" class="console-clear">Clear</button>
+            <button type="button" class="console-copy">Copy</button>
+            <button type="button" class="console-dock">Dock right</button>
+            <button type="button" class="console-toggle" aria-expanded="false">Show</button>
+        </div>
+        <ul class="console-entries" aria-live="polite"></ul>`;
+    const list = panel.querySelector(".console-entries");
+    const badge = panel.querySelector(".console-badge");
+    const levelSelect = panel.querySelector(".console-level");
+    const timestamps = panel.querySelector(".console-timestamps");
+    const bySection = panel.querySelector(".console-sections");
+    const dockButton = panel.querySelector(".console-dock");
+    const toggleButton = panel.querySelector(".console-toggle");
+
+    /* entries: { level, args, time, section (a Promise), table } or a group: { group: label, children: [], collapsed }
+        groupStack holds the children array new entries go into */
+    let entries = [];
+    let groupStack = [entries];
+    let errorCount = 0;
+    const timers = new Map();
+    const counters = new Map();
+
+    function save(){
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ dock: panel.dataset.dock, collapsed: panel.classList.contains("collapsed") }));
+    }
+    function syncButtons(){
+        const collapsed = panel.classList.contains("collapsed");
+        toggleButton.textContent = collapsed ? "Show" : "Hide";
+        toggleButton.setAttribute("aria-expanded", String(!collapsed));
+        dockButton.textContent = panel.dataset.dock === "bottom" ? "Dock right" : "Dock bottom";
+        badge.textContent = errorCount || "";
+    }
+
+    function visible(entry){
+        if(entry.group !== undefined) return entry.children.some(visible);
+        return levelSelect.value === "all" || entry.level === levelSelect.value;
+    }
+    function renderEntry(entry){
+        const li = document.createElement("li");
+        if(entry.group !== undefined){
+            const details = document.createElement("details");
+            details.open = !entry.collapsed;
+            const summary = document.createElement("summary");
+            summary.textContent = entry.group;
+            const children = document.createElement("ul");
+            children.append(...entry.children.filter(visible).map(renderEntry));
+            details.append(summary, children);
+            li.append(details);
+            return li;
+        }
+        li.className = `console-${entry.level}`;
+        if(timestamps.checked) li.append(span("console-time", entry.time.toLocaleTimeString()));
+        entry.args.forEach((arg, index) => {
+            if(index > 0) li.append(" ");
+            li.append(typeof arg === "string" ? arg : renderValue(arg)); // top-level strings are the message itself, not a value
+        });
+        if(entry.table) li.append(renderTable(entry.table));
+        return li;
+    }
+    // async because the sections come from fetching the source files
+    let renderId = 0;
+    async function render(){
+        const id = ++renderId;
+        const shown = entries.filter(visible);
+        if(!bySection.checked){
+            list.replaceChildren(...shown.map(renderEntry));
+        }
+        else{
+            const sections = new Map();
+            for(const entry of shown){
+                const section = await entry.section;
+                if(id !== renderId) return; // a newer render started while waiting
+                if(!sections.has(section)) sections.set(section, []);
+                sections.get(section).push(entry);
+            }
+            list.replaceChildren(...[...sections].map(([section, items]) => {
+                const li = document.createElement("li");
+                const details = document.createElement("details");
+                details.className = "console-section";
+                details.open = true;
+                const summary = document.createElement("summary");
+                summary.textContent = `${section} (${items.length})`;
+                const children = document.createElement("ul");
+                children.append(...items.map(renderEntry));
+                details.append(summary, children);
+                li.append(details);
+                return li;
+            }));
+        }
+        syncButtons();
+    }
+    // appending is the common case, so only redraw everything when the new entry lands inside a group or a section
+    function add(entry){
+        const target = groupStack[groupStack.length - 1];
+        target.push(entry);
+        if(entry.level === "error") errorCount++;
+        const trimmed = entries.length > MAX_ENTRIES;
+        if(trimmed){
+            entries.shift();
+            errorCount = countErrors(entries); // the oldest entry (or group) may have had errors in it
+        }
+        if(target === entries && !bySection.checked && !trimmed){
+            if(visible(entry)) list.append(renderEntry(entry));
+            list.lastElementChild?.scrollIntoView({ block: "nearest" });
+            syncButtons();
+        }
+        else render();
+    }
+    function log(level, args, extra = {}){
+        add({ level, args, time: new Date(), section: sectionOf(callSite()), ...extra });
+    }
+
+    const original = {};
+    function wrap(method, handler){
+        original[method] = console[method].bind(console);
+        console[method] = (...args) => {
+            original[method](...args);
+            try {
+                handler(...args);
+            }
+            catch (error) { // the panel must never break the code that's logging
+                original.error?.("consolePanel:", error);
+            }
+        };
+    }
+    LEVELS.forEach(level => wrap(level, (...args) => log(level, args)));
+    wrap("dir", value => log("log", [value]));
+    wrap("table", data => isTree(data) ? log("log", [], { table: data }) : log("log", [data]));
+    wrap("trace", (...args) => log("debug", [...args, new Error("console.trace").stack.split("\n").slice(2).join("\n")]));
+    wrap("assert", (condition, ...args) => {
+        if(!condition) log("error", ["Assertion failed:", ...args]);
+    });
+    wrap("count", (label = "default") => {
+        counters.set(label, (counters.get(label) ?? 0) + 1);
+        log("info", [`${label}: ${counters.get(label)}`]);
+    });
+    wrap("countReset", (label = "default") => counters.delete(label));
+    wrap("time", (label = "default") => timers.set(label, performance.now()));
+    wrap("timeLog", (label = "default", ...args) => {
+        if(timers.has(label)) log("info", [`${label}: ${(performance.now() - timers.get(label)).toFixed(2)} ms`, ...args]);
+    });
+    wrap("timeEnd", (label = "default") => {
+        if(!timers.has(label)){
+            log("warn", [`Timer "${label}" does not exist`]);
+            return;
+        }
+        log("info", [`⏱ ${label}: ${(performance.now() - timers.get(label)).toFixed(2)} ms`]);
+        timers.delete(label);
+    });
+    function openGroup(collapsed, label){
+        const group = { group: label ?? "console.group", children: [], collapsed };
+        add(group);
+        groupStack.push(group.children);
+    }
+    wrap("group", (...args) => openGroup(false, args.map(toText).join(" ") || undefined));
+    wrap("groupCollapsed", (...args) => openGroup(true, args.map(toText).join(" ") || undefined));
+    wrap("groupEnd", () => {
+        if(groupStack.length > 1) groupStack.pop();
+    });
+    function clear(){
+        entries = [];
+        groupStack = [entries];
+        errorCount = 0;
+        render();
+    }
+    wrap("clear", clear);
+
+    window.addEventListener("error", event => log("error", [event.error ?? event.message]));
+    window.addEventListener("unhandledrejection", event => log("error", ["Uncaught (in promise)", event.reason]));
+
+    levelSelect.addEventListener("change", render);
+    timestamps.addEventListener("change", render);
+    bySection.addEventListener("change", render);
+    panel.querySelector(".console-clear").addEventListener("click", clear);
+    const copyButton = panel.querySelector(".console-copy");
+    copyButton.addEventListener("click", async () => {
+        const lines = [];
+        (function collect(items, indent){
+            items.filter(visible).forEach(entry => {
+                if(entry.group !== undefined){
+                    lines.push(indent + entry.group);
+                    collect(entry.children, indent + "    ");
+                    return;
+                }
+                const time = timestamps.checked ? `[${entry.time.toLocaleTimeString()}] ` : "";
+                const text = [...entry.args, ...(entry.table ? [entry.table] : [])].map(toText).join(" ");
+                lines.push(`${indent}${time}${entry.level}: ${text}`);
+            });
+        })(entries, "");
+        // the clipboard can refuse (no permission, page not focused, not https...)
+        try {
+            await navigator.clipboard.writeText(lines.join("\n"));
+            copyButton.textContent = "Copied!";
+            copyButton.title = "";
+        }
+        catch (error) {
+            copyButton.textContent = "Couldn't copy";
+            copyButton.title = error.message;
+            original.error("Couldn't copy the console:", error); // the real console only, not another entry in the panel
+        }
+        setTimeout(() => copyButton.textContent = "Copy", 2000);
+    });
+    dockButton.addEventListener("click", () => {
+        panel.dataset.dock = panel.dataset.dock === "bottom" ? "right" : "bottom";
+        save();
+        syncButtons();
+    });
+    toggleButton.addEventListener("click", () => {
+        panel.classList.toggle("collapsed");
+        save();
+        syncButtons();
+    });
+    syncButtons();
+    document.body.append(panel);
+}
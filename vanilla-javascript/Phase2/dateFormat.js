@@ -0,0 +1,145 @@
+/* Formatting and parsing dates with a pattern, instead of splitting strings on "-":
+
+    formatDate(new Date(), "ddd, DD MMM YYYY HH:mm")       -> "Thu, 28 Aug 2025 14:05"
+    formatDate(new Date(), "DD MMMM YYYY", { locale: "de" }) -> "28 August 2025"
+    parseFormattedDate("28.08.2025", "DD.MM.YYYY")          -> Date (local time)
+
+    Tokens:  YYYY year     MM month 01-12   MMM Aug       MMMM August
+             DD day 01-31  ddd Thu          dddd Thursday
+             HH hour 00-23 hh hour 01-12    A AM/PM       mm minutes   ss seconds
+    Anything in [brackets] is copied as it is: "[Day] DD" -> "Day 28"
+    Month/weekday names and AM/PM come from Intl, so they follow the locale.
+
+    Parsing is strict: every token has to match exactly (MM needs two digits), the date has to exist
+    (2025-02-30 is rejected instead of rolling over to March 2nd like new Date() does),
+    and a DateParseError says what failed and where. */
+import { DateError } from './dateUtil.js';
+
+export class DateParseError extends DateError {
+    constructor(text, pattern, reason, position){
+        super(`Can't read "${text}" as ${pattern}: ${reason}`);
+        this.name = "DateParseError";
+        this.text = text;
+        this.pattern = pattern;
+        this.reason = reason;
+        this.position = position;
+    }
+}
+
+const TOKEN_PATTERN = /\[([^\]]*)\]|YYYY|MMMM|MMM|MM|DD|dddd|ddd|HH|hh|mm|ss|A/g;
+const DIGITS = { YYYY: 4, MM: 2, DD: 2, HH: 2, hh: 2, mm: 2, ss: 2 };
+const TOKEN_NAMES = { YYYY: "year", MM: "month", DD: "day", HH: "hour", hh: "hour", mm: "minutes", ss: "seconds" };
+
+// "DD.MM.YYYY" -> [{ token: "DD" }, { literal: "." }, ...]
+function tokenize(pattern){
+    const parts = [];
+    let last = 0;
+    for(const match of pattern.matchAll(TOKEN_PATTERN)){
+        if(match.index > last) parts.push({ literal: pattern.slice(last, match.index) });
+        parts.push(match[1] !== undefined ? { literal: match[1] } : { token: match[0] });
+        last = match.index + match[0].length;
+    }
+    if(last < pattern.length) parts.push({ literal: pattern.slice(last) });
+    return parts;
+}
+
+const localeNames = new Map();
+function namesFor(locale){
+    const key = locale ?? "";
+    if(!localeNames.has(key)){
+        const monthName = format => new Intl.DateTimeFormat(locale, { month: format });
+        const weekdayName = format => new Intl.DateTimeFormat(locale, { weekday: format });
+        const dayPeriod = new Intl.DateTimeFormat(locale, { hour: "numeric", hour12: true });
+        const months = Array.from({ length: 12 }, (_, month) => new Date(2000, month, 1));
+        const weekdays = Array.from({ length: 7 }, (_, day) => new Date(2000, 0, 2 + day)); // Jan 2nd 2000 was a Sunday
+        localeNames.set(key, {
+            MMM: months.map(date => monthName("short").format(date)),
+            MMMM: months.map(date => monthName("long").format(date)),
+            ddd: weekdays.map(date => weekdayName("short").format(date)),
+            dddd: weekdays.map(date => weekdayName("long").format(date)),
+            A: [0, 12].map(hour => dayPeriod.formatToParts(new Date(2000, 0, 1, hour)).find(part => part.type === "dayPeriod")?.value ?? (hour ? "PM" : "AM"))
+        });
+    }
+    return localeNames.get(key);
+}
+
+export function formatDate(date, pattern, { locale } = {}){
+    if(!(date instanceof Date) || Number.isNaN(date.getTime())) throw new DateError(`formatDate needs a valid Date (got ${date})`);
+    const names = namesFor(locale);
+    const pad = (number, length = 2) => String(number).padStart(length, "0");
+    const values = {
+        YYYY: () => pad(date.getFullYear(), 4),
+        MM: () => pad(date.getMonth() + 1),
+        MMM: () => names.MMM[date.getMonth()],
+        MMMM: () => names.MMMM[date.getMonth()],
+        DD: () => pad(date.getDate()),
+        ddd: () => names.ddd[date.getDay()],
+        dddd: () => names.dddd[date.getDay()],
+        HH: () => pad(date.getHours()),
+        hh: () => pad(date.getHours() % 12 || 12),
+        A: () => names.A[date.getHours() < 12 ? 0 : 1],
+        mm: () => pad(date.getMinutes()),
+        ss: () => pad(date.getSeconds())
+    };
+    return tokenize(pattern).map(part => part.literal ?? values[part.token]()).join("");
+}
+
+export function parseFormattedDate(text, pattern, { locale } = {}){
+    const names = namesFor(locale);
+    const fail = (reason, position) => {
+        throw new DateParseError(text, pattern, position === undefined ? reason : `${reason} at position ${position + 1}`, position);
+    };
+    const fields = {};
+    let position = 0;
+    for(const { literal, token } of tokenize(pattern)){
+        const rest = text.slice(position);
+        if(literal !== undefined){
+            if(!rest.startsWith(literal)) fail(`expected "${literal}" but found "${rest.slice(0, literal.length) || "the end"}"`, position);
+            position += literal.length;
+        }
+        else if(DIGITS[token]){
+            const digits = rest.match(new RegExp(`^\\d{${DIGITS[token]}}`))?.[0];
+            if(!digits) fail(`expected a ${DIGITS[token]}-digit ${TOKEN_NAMES[token]} (${token}) but found "${rest.slice(0, DIGITS[token]) || "the end"}"`, position);
+            fields[token] = Number(digits);
+            position += digits.length;
+        }
+        else{
+            // longest first, so "June" isn't read as "Jun" + "e"
+            const options = names[token].map((name, index) => ({ name, index })).sort((a, b) => b.name.length - a.name.length);
+            const found = options.find(({ name }) => rest.slice(0, name.length).toLocaleLowerCase(locale) === name.toLocaleLowerCase(locale));
+            if(!found) fail(`expected one of ${names[token].join(", ")} (${token}) but found "${rest.split(/[\s,.]/)[0] || "the end"}"`, position);
+            fields[token] = found.index;
+            position += found.name.length;
+        }
+    }
+    if(position < text.length) fail(`unexpected "${text.slice(position)}" after the date`, position);
+
+    const year = fields.YYYY ?? 1970;
+    const month = fields.MM ?? ((fields.MMM ?? fields.MMMM ?? 0) + 1);
+    const day = fields.DD ?? 1;
+    if(fields.MM !== undefined && (fields.MMM ?? fields.MMMM) !== undefined && fields.MM !== (fields.MMM ?? fields.MMMM) + 1) fail("the month number and name don't match");
+    if(month < 1 || month > 12) fail(`there's no month ${month}`);
+    const daysInMonth = new Date(year, month, 0).getDate();
+    if(day < 1 || day > daysInMonth) fail(`${names.MMMM[month - 1]} ${year} has ${daysInMonth} days, there's no day ${day}`);
+
+    let hour = fields.HH ?? 0;
+    if(fields.HH !== undefined && hour > 23) fail(`there's no hour ${hour} (HH is 00-23)`);
+    if(fields.hh !== undefined){
+        if(fields.hh < 1 || fields.hh > 12) fail(`there's no hour ${fields.hh} (hh is 01-12)`);
+        if(fields.A === undefined) fail("hh needs A (AM/PM) to know which half of the day it is");
+        hour = (fields.hh % 12) + (fields.A === 1 ? 12 : 0);
+        if(fields.HH !== undefined && fields.HH !== hour) fail("HH and hh/A don't match");
+    }
+    const minutes = fields.mm ?? 0;
+    const seconds = fields.ss ?? 0;
+    if(minutes > 59) fail(`there's no minute ${minutes}`);
+    if(seconds > 59) fail(`there's no second ${seconds}`);
+
+    const date = new Date(year, month - 1, day, hour, minutes, seconds);
+    date.setFullYear(year); // new Date() treats years 0-99 as 1900-1999
+    const weekday = fields.ddd ?? fields.dddd;
+    if(weekday !== undefined && weekday !== date.getDay()){
+        fail(`${formatDate(date, "DD MMMM YYYY", { locale })} is a ${names.dddd[date.getDay()]}, not a ${names.dddd[weekday]}`);
+    }
+    return date;
+}
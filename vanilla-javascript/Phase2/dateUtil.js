@@ -0,0 +1,204 @@
+/* Date helpers that work with CALENDAR DAYS instead of Date objects or milliseconds.
+    - date === otherDate compares object identity -> always false for two different Date objects, use isSameDay()
+    - new Date("2025-08-28") is midnight UTC, which is still Aug 27 in the Americas -> parseDate() gives local midnight
+    - adding 24 * 60 * 60 * 1000 ms isn't "one day" when DST starts or ends -> addDays() moves the calendar instead
+    - months are 1-12 and weekdays 1 (Monday) - 7 (Sunday) here, no more +1 everywhere
+    Functions that take a timeZone (an IANA name like "Asia/Kolkata") work out the day as seen in that zone,
+    without it they use the browser's own time zone. */
+
+export class DateError extends Error {
+    constructor(message){
+        super(message);
+        this.name = "DateError";
+    }
+}
+export class InvalidDateError extends DateError {
+    constructor(value){
+        super(`"${value}" is not a valid date`);
+        this.name = "InvalidDateError";
+        this.value = value;
+    }
+}
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/* Date, timestamp or string -> Date (a copy, so the helpers never change the date they're given).
+    "YYYY-MM-DD" is read as a local calendar day, anything else goes to new Date(). */
+export function parseDate(value){
+    if(typeof value === "string"){
+        const match = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if(match){
+            const [, year, month, day] = match.map(Number);
+            const date = new Date(year, month - 1, day);
+            if(date.getMonth() !== month - 1) throw new InvalidDateError(value); // 2025-02-30 rolls over into March
+            return date;
+        }
+    }
+    const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+    if(Number.isNaN(date.getTime())) throw new InvalidDateError(value);
+    return date;
+}
+
+// { year, month (1-12), day, weekday (1 = Monday ... 7 = Sunday), hour, minute, second }
+const partFormatters = new Map();
+export function dateParts(value, timeZone){
+    const date = parseDate(value);
+    if(!timeZone){
+        return {
+            year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate(), weekday: date.getDay() || 7,
+            hour: date.getHours(), minute: date.getMinutes(), second: date.getSeconds()
+        };
+    }
+    if(!partFormatters.has(timeZone)){
+        partFormatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+            timeZone, hourCycle: "h23", weekday: "short",
+            year: "numeric", month: "numeric", day: "numeric", hour: "numeric", minute: "numeric", second: "numeric"
+        }));
+    }
+    const parts = Object.fromEntries(partFormatters.get(timeZone).formatToParts(date).map(({ type, value }) => [type, value]));
+    return {
+        year: Number(parts.year), month: Number(parts.month), day: Number(parts.day),
+        weekday: ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"].indexOf(parts.weekday) + 1,
+        hour: Number(parts.hour), minute: Number(parts.minute), second: Number(parts.second)
+    };
+}
+export function monthName(value, { locale, format = "long" } = {}){
+    return parseDate(value).toLocaleDateString(locale, { month: format });
+}
+export function weekdayName(value, { locale, format = "long" } = {}){
+    return parseDate(value).toLocaleDateString(locale, { weekday: format });
+}
+
+export function startOfDay(value){
+    const date = parseDate(value);
+    date.setHours(0, 0, 0, 0);
+    return date;
+}
+export function isSameDay(a, b, { timeZone } = {}){
+    const x = dateParts(a, timeZone);
+    const y = dateParts(b, timeZone);
+    return x.year === y.year && x.month === y.month && x.day === y.day;
+}
+// whole calendar days from a to b (negative if b is earlier), the same whether or not there's a DST change in between
+export function daysBetween(a, b, { timeZone } = {}){
+    const x = dateParts(a, timeZone);
+    const y = dateParts(b, timeZone);
+    return Math.round((Date.UTC(y.year, y.month - 1, y.day) - Date.UTC(x.year, x.month - 1, x.day)) / MS_PER_DAY);
+}
+
+/* Calendar arithmetic in local time: the clock time stays the same across DST changes,
+    and Jan 31 + 1 month is Feb 28 (or 29), not Mar 3 like date.setMonth(date.getMonth() + 1) gives. */
+export function addDays(value, days){
+    const date = parseDate(value);
+    date.setDate(date.getDate() + days);
+    return date;
+}
+export function addMonths(value, months){
+    const date = parseDate(value);
+    const day = date.getDate();
+    date.setDate(1);
+    date.setMonth(date.getMonth() + months);
+    const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    date.setDate(Math.min(day, lastDay));
+    return date;
+}
+export function addYears(value, years){
+    return addMonths(value, years * 12);
+}
+export function add(value, { years = 0, months = 0, days = 0 } = {}){
+    return addDays(addMonths(value, years * 12 + months), days);
+}
+export function subtract(value, { years = 0, months = 0, days = 0 } = {}){
+    return add(value, { years: -years, months: -months, days: -days });
+}
+
+/* Completed years on a given day. A Feb 29 birthday counts as Feb 28 in other years. */
+export function ageOn(birthDate, on = new Date()){
+    const birth = dateParts(birthDate);
+    const today = dateParts(on);
+    let age = today.year - birth.year;
+    const anniversary = dateParts(addYears(startOfDay(birthDate), age));
+    if(today.month < anniversary.month || (today.month === anniversary.month && today.day < anniversary.day)) age--;
+    if(age < 0) throw new DateError("The birth date is after the given day");
+    return age;
+}
+// the next time the date's day and month come round, today included (as a local midnight)
+export function nextAnniversary(value, from = new Date()){
+    const original = startOfDay(value);
+    const today = startOfDay(from);
+    let years = Math.max(0, today.getFullYear() - original.getFullYear());
+    let next = addYears(original, years);
+    while(next < today) next = addYears(original, ++years);
+    return next;
+}
+export function daysUntilAnniversary(value, from = new Date()){
+    return daysBetween(from, nextAnniversary(value, from));
+}
+
+// the instant a calendar day starts in a time zone (what "midnight in Kolkata" is on this computer's clock)
+export function startOfDayIn({ year, month, day }, timeZone){
+    const guess = Date.UTC(year, month - 1, day);
+    const offsetAt = time => {
+        const parts = dateParts(time, timeZone);
+        return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(time / 1000) * 1000;
+    };
+    let start = guess - offsetAt(guess);
+    start = guess - offsetAt(start); // the offset can be different at midnight itself if DST changed that day
+    return new Date(start);
+}
+
+/* Live countdown to a date, e.g. a birthday:
+    const stop = mountCountdown(element, { target: "2025-08-28", label: "Sapto's birthday", recurring: true });
+    - recurring: counts down to the next anniversary instead of the date itself (and starts over the day after)
+    - timeZone: whose "today" it is, e.g. someone's birthday in "Asia/Kolkata" while you're in New York
+    On the day itself it says "today is the day!" (once, through aria-live, for screen readers too).
+    Returns a function that stops the timer. */
+export function mountCountdown(container, { target, label = "The big day", recurring = false, timeZone } = {}){
+    const original = parseDate(target);
+    const targetParts = dateParts(original);
+    const text = document.createElement("span");
+    text.className = "countdown";
+    text.setAttribute("role", "timer");
+    const announcement = document.createElement("span");
+    announcement.setAttribute("aria-live", "polite");
+    announcement.className = "countdown-announcement";
+    container.replaceChildren(text, announcement);
+    let timer;
+    let announced = false;
+
+    function tick(){
+        const now = new Date();
+        const today = dateParts(now, timeZone);
+        let year = targetParts.year;
+        if(recurring){
+            // this year's anniversary, or next year's if it's already gone (Feb 29 -> Feb 28 in other years)
+            year = today.year;
+            const thisYear = dateParts(addYears(original, year - targetParts.year));
+            if(today.month > thisYear.month || (today.month === thisYear.month && today.day > thisYear.day)) year++;
+        }
+        const day = dateParts(addYears(original, year - targetParts.year));
+        const days = Math.round((Date.UTC(day.year, day.month - 1, day.day) - Date.UTC(today.year, today.month - 1, today.day)) / MS_PER_DAY);
+        if(days === 0){
+            text.textContent = `🎉 ${label}: today is the day!`;
+            if(!announced) announcement.textContent = text.textContent;
+            announced = true;
+        }
+        else if(days < 0){
+            text.textContent = `${label} was ${-days} day${days === -1 ? "" : "s"} ago`;
+        }
+        else{
+            announced = false;
+            announcement.textContent = "";
+            const remaining = startOfDayIn(day, timeZone ?? Intl.DateTimeFormat().resolvedOptions().timeZone) - now;
+            const seconds = Math.max(0, Math.floor(remaining / 1000));
+            const clock = [Math.floor(seconds / 3600) % 24, Math.floor(seconds / 60) % 60, seconds % 60]
+                .map(n => String(n).padStart(2, "0")).join(":");
+            const wholeDays = Math.floor(seconds / 86400);
+            text.textContent = `${label}: ${wholeDays} day${wholeDays === 1 ? "" : "s"}, ${clock} to go`;
+        }
+        // lined up with the start of the next second, so it doesn't slowly drift out of step with the clock
+        timer = setTimeout(tick, 1000 - (Date.now() % 1000));
+    }
+    tick();
+    return () => clearTimeout(timer);
+}
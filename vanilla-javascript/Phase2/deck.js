@@ -0,0 +1,98 @@
+/* Card deck engine (grown out of the cards + shuffle example in main.js):
+    - one or more standard 52-card decks (a "shoe")
+    - draw / deal / discard, with the discard pile shuffled back in when the draw pile runs out
+    - hand scoring where every ace counts as 1 or 11, whichever is better */
+import { Random } from './randomUtil.js';
+
+export const RANKS = ['A', 2, 3, 4, 5, 6, 7, 8, 9, 10, 'J', 'Q', 'K'];
+export const SUITS = ["♠", "♥", "♦", "♣"];
+
+export class EmptyDeckError extends Error {
+    constructor(){
+        super("There are no cards left to draw");
+        this.name = "EmptyDeckError";
+    }
+}
+
+export class Card {
+    constructor(rank, suit){
+        this.rank = rank;
+        this.suit = suit;
+        Object.freeze(this);
+    }
+    get isRed(){
+        return this.suit === "♥" || this.suit === "♦";
+    }
+    // blackjack value: number cards are worth their number, J/Q/K are 10, and an ace starts as 1
+    get value(){
+        if(this.rank === 'A') return 1;
+        return typeof this.rank === "number" ? this.rank : 10;
+    }
+    toString(){
+        return `${this.rank}${this.suit}`;
+    }
+}
+
+export class Deck {
+    constructor({ decks = 1, random = new Random() } = {}){
+        if(!Number.isInteger(decks) || decks < 1){
+            throw new RangeError(`Number of decks must be a positive integer (got ${decks})`);
+        }
+        this.random = random;
+        this.cards = [];
+        this.discards = [];
+        for(let d = 0; d < decks; d++){
+            SUITS.forEach(suit => RANKS.forEach(rank => this.cards.push(new Card(rank, suit))));
+        }
+        this.shuffle();
+    }
+    get remaining(){
+        return this.cards.length;
+    }
+    shuffle(){
+        this.random.shuffle(this.cards);
+    }
+    // puts the discard pile back into the draw pile and shuffles everything
+    reshuffle(){
+        this.cards.push(...this.discards);
+        this.discards = [];
+        this.shuffle();
+    }
+    draw(count = 1){
+        const drawn = [];
+        for(let i = 0; i < count; i++){
+            if(this.cards.length === 0){
+                if(this.discards.length === 0) throw new EmptyDeckError();
+                this.reshuffle();
+            }
+            drawn.push(this.cards.pop());
+        }
+        return drawn;
+    }
+    // deal(2, 3) -> 2 hands of 3 cards, dealt one card at a time around the table like a real dealer
+    deal(hands, cardsEach){
+        const dealt = Array.from({ length: hands }, () => []);
+        for(let c = 0; c < cardsEach; c++){
+            dealt.forEach(hand => hand.push(...this.draw()));
+        }
+        return dealt;
+    }
+    discard(cards){
+        this.discards.push(...cards);
+    }
+}
+
+/* Hand scoring:
+    Count every ace as 1 first, then turn ONE ace into an 11 if that doesn't go over 21
+    (two aces as 11 would already be 22, so at most one ace can ever be 11).
+    soft = true when an ace is being counted as 11 */
+export function scoreHand(cards){
+    let total = cards.reduce((acc, card) => acc + card.value, 0);
+    const hasAce = cards.some(card => card.rank === 'A');
+    const soft = hasAce && total + 10 <= 21;
+    if(soft) total += 10;
+    return { total, soft, bust: total > 21 };
+}
+export function isBlackjack(cards){
+    return cards.length === 2 && scoreHand(cards).total === 21;
+}
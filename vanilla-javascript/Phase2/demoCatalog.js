@@ -0,0 +1,173 @@
+/* Demo catalog: the registered demos grouped by topic, with search,
+    the selected demo's code in an editable playground next to its output, and deep links (page.html#demo/regex). */
+import { getDemos, findDemo, searchDemos, groupByTopic, snippetOf, onDemosChanged } from './demoRegistry.js';
+import { createPlayground, runInSandbox } from './playground.js';
+
+const HASH_PREFIX = "#demo/";
+const CHECK_TIMEOUT = 5000; // per demo, they all run at the same time
+
+const STYLES = `
+.catalog-search {
+    width: 100%;
+    max-width: 400px;
+    padding: 8px;
+    box-sizing: border-box;
+}
+.catalog-body {
+    display: grid;
+    grid-template-columns: minmax(200px, 1fr) 3fr;
+    gap: 20px;
+    margin-top: 10px;
+}
+.catalog-list h3 {
+    margin: 10px 0 4px;
+}
+.catalog-list ul {
+    list-style: none;
+    padding: 0;
+    margin: 0;
+}
+.catalog-list a {
+    display: block;
+    padding: 4px 8px;
+    border-radius: 4px;
+    color: inherit;
+    text-decoration: none;
+}
+.catalog-list a:hover {
+    background-color: hsla(205, 100%, 50%, 0.15);
+}
+.catalog-list a[aria-current="true"] {
+    background-color: hsl(205, 100%, 40%);
+    color: white;
+}
+.catalog-tags {
+    font-size: 0.8rem;
+    opacity: 0.7;
+}
+.catalog-panes {
+    display: grid;
+    grid-template-columns: 1fr 1fr;
+    gap: 10px;
+}
+@media (max-width: 800px) {
+    .catalog-body, .catalog-panes {
+        grid-template-columns: 1fr;
+    }
+}`;
+function ensureStyles(){
+    if(document.getElementById("catalog-styles")) return;
+    const style = document.createElement("style");
+    style.id = "catalog-styles";
+    style.textContent = STYLES;
+    document.head.append(style);
+}
+
+export function demoLink(id){
+    return HASH_PREFIX + id;
+}
+function idFromHash(){
+    return location.hash.startsWith(HASH_PREFIX) ? decodeURIComponent(location.hash.slice(HASH_PREFIX.length)) : null;
+}
+
+/* Runs every demo's playground code in the sandbox, each on its own like "Run in sandbox" does.
+    A ReferenceError means it uses an import or a page global the sandbox doesn't have -> that demo needs a stand-alone `snippet`.
+    Resolves with how many demos were checked, rejects with the ids and errors of the ones that failed.
+    Open the page with ?check-snippets (e.g. index.html?check-snippets) to run it, the result is in the console. */
+export async function checkSnippets(demos = getDemos()){
+    const results = await Promise.all(demos.map(async demo => {
+        const { messages } = await runInSandbox(snippetOf(demo), { timeout: CHECK_TIMEOUT });
+        // only uncaught errors: a demo can catch a ReferenceError on purpose (e.g. the TDZ example) and log it
+        return { id: demo.id, error: messages.find(message => message.type === "error" && /\bReferenceError\b/.test(message.text)) };
+    }));
+    const failures = results.filter(result => result.error);
+    if(failures.length > 0){
+        throw new Error(`${failures.length} demo snippet(s) don't run on their own:\n${failures.map(({ id, error }) => `${id}: ${error.text}`).join("\n")}`);
+    }
+    return results.length;
+}
+
+// output = the element the demos already print into; it's moved into the catalog next to the code
+export function mountCatalog(container, { output }){
+    ensureStyles();
+    container.innerHTML = `
+        <input type="search" class="catalog-search" placeholder="Search demos (title, topic or tag)..." aria-label="Search demos">
+        <div class="catalog-body">
+            <nav class="catalog-list" aria-label="Demos"></nav>
+            <div class="catalog-detail">
+                <h3 class="catalog-title">Pick a demo</h3>
+                <button type="button" class="catalog-run" disabled>Run</button>
+                <a class="catalog-permalink" hidden>Link to this demo</a>
+                <div class="catalog-panes">
+                    <div class="catalog-code"></div>
+                </div>
+            </div>
+        </div>`;
+    const search = container.querySelector(".catalog-search");
+    const list = container.querySelector(".catalog-list");
+    const title = container.querySelector(".catalog-title");
+    const runButton = container.querySelector(".catalog-run");
+    const permalink = container.querySelector(".catalog-permalink");
+    const code = container.querySelector(".catalog-code");
+    container.querySelector(".catalog-panes").append(output);
+    let selected = null;
+
+    function renderList(){
+        const matches = search.value.trim() ? searchDemos(search.value) : getDemos();
+        const sections = [...groupByTopic(matches)].map(([topic, demos]) => {
+            const section = document.createElement("section");
+            const heading = document.createElement("h3");
+            heading.textContent = topic;
+            const ul = document.createElement("ul");
+            demos.forEach(demo => {
+                const li = document.createElement("li");
+                const a = document.createElement("a");
+                a.href = demoLink(demo.id);
+                a.textContent = demo.title;
+                a.setAttribute("aria-current", String(demo.id === selected?.id));
+                const tags = document.createElement("span");
+                tags.className = "catalog-tags";
+                tags.textContent = demo.tags.join(", ");
+                a.append(document.createElement("br"), tags);
+                li.append(a);
+                ul.append(li);
+            });
+            section.append(heading, ul);
+            return section;
+        });
+        if(sections.length === 0){
+            const empty = document.createElement("p");
+            empty.textContent = "No demos match your search.";
+            sections.push(empty);
+        }
+        list.replaceChildren(...sections);
+    }
+    function select(id){
+        selected = findDemo(id);
+        title.textContent = selected ? selected.title : "Pick a demo";
+        // a new playground each time, so edits to one demo don't leak into the next (Reset brings back the original)
+        code.replaceChildren(...(selected ? [createPlayground(snippetOf(selected))] : []));
+        runButton.disabled = !selected?.run; // snippet-only demos can only run in the playground
+        permalink.hidden = !selected;
+        if(selected) permalink.href = demoLink(selected.id);
+        renderList();
+    }
+
+    search.addEventListener("input", renderList);
+    runButton.addEventListener("click", () => selected?.run?.());
+    // the links only change the hash, so the back button and shared links both work
+    window.addEventListener("hashchange", () => select(idFromHash()));
+    onDemosChanged(() => {
+        if(!selected && idFromHash()) select(idFromHash()); // a deep-linked demo can register after the catalog is mounted
+        else renderList();
+    });
+    select(idFromHash());
+    if(selected) container.scrollIntoView();
+    // after load, so the demos other scripts register (Phase1's index.js) are there too
+    if(new URLSearchParams(location.search).has("check-snippets")){
+        window.addEventListener("load", () => checkSnippets().then(
+            count => console.info(`All ${count} demo snippets run on their own`),
+            error => console.error(error.message)
+        ));
+    }
+}
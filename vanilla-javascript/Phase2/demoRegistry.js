@@ -0,0 +1,65 @@
+/* Demo registry: instead of hard-coding a button per demo in the HTML,
+    each demo registers itself once, and the catalog (demoCatalog.js) builds the UI from the list.
+
+    registerDemo({ id: "regex", title: "Regex", topic: "Strings", tags: ["match"], run: regexDemo });
+
+    source is optional: by default the catalog shows run's own code, but it can be a string,
+    a function, or an array of functions when a demo is spread over several helpers.
+
+    snippet is a stand-alone piece of code for the playground (playground.js),
+    a demo can have just a snippet (no run) when it only logs to the console. */
+
+const demos = new Map();
+const listeners = new Set();
+
+export function registerDemo({ id, title, topic, tags = [], run, source = run, snippet }){
+    if(!/^[a-z0-9-]+$/.test(id ?? "")){
+        throw new Error(`Demo id must be lowercase letters, numbers and dashes (got "${id}")`);
+    }
+    if(demos.has(id)){
+        throw new Error(`A demo with the id "${id}" is already registered`);
+    }
+    if(typeof run !== "function" && typeof snippet !== "string"){
+        throw new TypeError(`Demo "${id}" needs a run function or a snippet`);
+    }
+    demos.set(id, { id, title, topic, tags, run, source: source ?? snippet, snippet });
+    listeners.forEach(listener => listener());
+}
+export function getDemos(){
+    return [...demos.values()];
+}
+export function findDemo(id){
+    return demos.get(id) ?? null;
+}
+// every word of the query has to appear in the title, topic, id or tags
+export function searchDemos(query){
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return getDemos().filter(demo => {
+        const haystack = [demo.title, demo.topic, demo.id, ...demo.tags].join(" ").toLowerCase();
+        return words.every(word => haystack.includes(word));
+    });
+}
+export function groupByTopic(list){
+    const groups = new Map();
+    list.forEach(demo => {
+        if(!groups.has(demo.topic)) groups.set(demo.topic, []);
+        groups.get(demo.topic).push(demo);
+    });
+    return groups;
+}
+export function sourceOf(demo){
+    const parts = Array.isArray(demo.source) ? demo.source : [demo.source];
+    return parts.map(part => String(part)).join("\n\n");
+}
+// the code the playground starts with: the snippet, or the source plus a call to run
+export function snippetOf(demo){
+    if(demo.snippet !== undefined) return demo.snippet;
+    const parts = Array.isArray(demo.source) ? demo.source : [demo.source];
+    const call = parts.includes(demo.run) && demo.run.name ? `${demo.run.name}();` : `(${demo.run})();`;
+    return `${sourceOf(demo)}\n\n${call}`;
+}
+// called every time a demo is registered (demos from other scripts can show up after the catalog is drawn)
+export function onDemosChanged(listener){
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
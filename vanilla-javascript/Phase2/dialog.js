@@ -0,0 +1,217 @@
+/* In-page dialogs that replace prompt(), confirm() and alert():
+    the native ones freeze the whole page until they're answered, these return Promises instead.
+
+    const age = await ask("How old are you?", { type: "number", validate: n => n < 0 && "Can't be negative" });
+    const sure = await confirmDialog("Do you like JavaScript?");
+    await notify("Saved!");
+
+    - ask() resolves with the answer (a number for type "number"), or null if cancelled, just like prompt()
+    - validate(value) returns an error message to keep the dialog open, anything falsy accepts the value (can be async,
+        if it throws or rejects, the error is shown the same way and the dialog stays open)
+    - focus stays inside the dialog (Tab wraps around, the rest of the page is inert), Esc cancels
+    - only one dialog is shown at a time, the others wait in a queue */
+
+let queue = Promise.resolve();
+let dialogCount = 0;
+
+const STYLES = `
+.dialog-backdrop {
+    position: fixed;
+    inset: 0;
+    background-color: hsla(0, 0%, 0%, 0.45);
+    display: flex;
+    justify-content: center;
+    align-items: center;
+    z-index: 1000;
+}
+.dialog {
+    background-color: white;
+    color: #333;
+    min-width: 280px;
+    max-width: 90vw;
+    padding: 20px;
+    border-radius: 8px;
+    box-shadow: 0 10px 30px hsla(0, 0%, 0%, 0.3);
+    font-family: inherit;
+}
+.dialog input {
+    width: 100%;
+    box-sizing: border-box;
+}
+.dialog-error {
+    display: block;
+    min-height: 1.2em;
+    color: #c0392b;
+    font-size: 0.9rem;
+}
+.dialog-buttons {
+    display: flex;
+    justify-content: flex-end;
+    gap: 8px;
+    margin-top: 10px;
+}`;
+function ensureStyles(){
+    if(document.getElementById("dialog-styles")) return;
+    const style = document.createElement("style");
+    style.id = "dialog-styles";
+    style.textContent = STYLES;
+    document.head.append(style);
+}
+
+// waits for the dialog before it (if any) to close first
+function enqueue(open){
+    const result = queue.then(open);
+    queue = result.catch(() => {});
+    return result;
+}
+
+function button(label, className){
+    const element = document.createElement("button");
+    element.type = "button";
+    element.textContent = label;
+    if(className) element.className = className;
+    return element;
+}
+
+/* Builds and shows one dialog.
+    onConfirm(value) returns an error message to keep it open, or resolves the dialog with { value }.
+    Resolves with { cancelled: true } on Cancel or Esc. */
+function openDialog({ message, input, okLabel = "OK", cancelLabel, onConfirm = value => ({ value }) }){
+    ensureStyles();
+    const id = `dialog-${++dialogCount}`;
+    const previousFocus = document.activeElement;
+    const backdrop = document.createElement("div");
+    backdrop.className = "dialog-backdrop";
+    const dialog = document.createElement("div");
+    dialog.className = "dialog";
+    dialog.setAttribute("role", cancelLabel ? "dialog" : "alertdialog");
+    dialog.setAttribute("aria-modal", "true");
+    dialog.setAttribute("aria-labelledby", `${id}-message`);
+    const text = document.createElement("p");
+    text.id = `${id}-message`;
+    text.textContent = message;
+    dialog.append(text);
+
+    let error;
+    if(input){
+        input.id = `${id}-input`;
+        error = document.createElement("span");
+        error.id = `${id}-error`;
+        error.className = "dialog-error";
+        error.setAttribute("role", "alert");
+        input.setAttribute("aria-labelledby", text.id);
+        input.setAttribute("aria-describedby", error.id);
+        dialog.append(input, error);
+    }
+    const buttons = document.createElement("div");
+    buttons.className = "dialog-buttons";
+    const cancelButton = cancelLabel ? button(cancelLabel) : null;
+    const okButton = button(okLabel);
+    if(cancelButton) buttons.append(cancelButton);
+    buttons.append(okButton);
+    dialog.append(buttons);
+    backdrop.append(dialog);
+
+    // everything else on the page becomes inert (can't be clicked or focused) while the dialog is open
+    const others = [...document.body.children].filter(element => !element.inert);
+    others.forEach(element => element.inert = true);
+    document.body.append(backdrop);
+
+    return new Promise(resolve => {
+        function close(result){
+            backdrop.remove();
+            others.forEach(element => element.inert = false);
+            previousFocus?.focus?.();
+            resolve(result);
+        }
+        let confirming = false; // a slow async validate is still running -> Enter doesn't start a second one
+        async function confirm(){
+            if(confirming) return;
+            confirming = true;
+            okButton.disabled = true;
+            let result;
+            try {
+                result = await onConfirm(input?.value);
+            }
+            catch (failure) {
+                result = `Couldn't check that: ${failure?.message ?? failure}`; // validate threw -> shown like its own messages, OK works again
+            }
+            finally {
+                confirming = false;
+                okButton.disabled = false;
+            }
+            if(typeof result === "string"){ // an error message -> stay open
+                error.textContent = result;
+                input.setAttribute("aria-invalid", "true");
+                input.focus();
+                return;
+            }
+            close(result);
+        }
+        okButton.addEventListener("click", confirm);
+        cancelButton?.addEventListener("click", () => close({ cancelled: true }));
+        input?.addEventListener("input", () => {
+            error.textContent = "";
+            input.removeAttribute("aria-invalid");
+        });
+        dialog.addEventListener("keydown", event => {
+            if(event.key === "Escape"){
+                event.preventDefault();
+                close({ cancelled: true });
+            }
+            else if(event.key === "Enter" && event.target === input){
+                event.preventDefault();
+                confirm();
+            }
+            else if(event.key === "Tab"){ // focus trap: wrap around from the last element to the first and back
+                const focusable = [...dialog.querySelectorAll("input, button:not(:disabled)")];
+                const first = focusable[0];
+                const last = focusable[focusable.length - 1];
+                if(event.shiftKey && document.activeElement === first){
+                    event.preventDefault();
+                    last.focus();
+                }
+                else if(!event.shiftKey && document.activeElement === last){
+                    event.preventDefault();
+                    first.focus();
+                }
+            }
+        });
+        (input ?? okButton).focus();
+    });
+}
+
+export function ask(question, { type = "text", defaultValue = "", validate, okLabel = "OK", cancelLabel = "Cancel" } = {}){
+    return enqueue(async () => {
+        const input = document.createElement("input");
+        input.type = type;
+        input.value = defaultValue;
+        const { cancelled, value } = await openDialog({
+            message: question,
+            input,
+            okLabel,
+            cancelLabel,
+            async onConfirm(text){
+                let answer = text;
+                if(type === "number"){
+                    answer = Number(text);
+                    if(text.trim() === "" || !Number.isFinite(answer)) return "Please enter a number";
+                }
+                const message = validate ? await validate(answer) : "";
+                return message ? String(message) : { value: answer };
+            }
+        });
+        return cancelled ? null : value;
+    });
+}
+export function confirmDialog(message, { okLabel = "OK", cancelLabel = "Cancel" } = {}){
+    return enqueue(async () => {
+        const { cancelled } = await openDialog({ message, okLabel, cancelLabel });
+        return !cancelled;
+    });
+}
+export function notify(message, { okLabel = "OK" } = {}){
+    return enqueue(async () => {
+        await openDialog({ message, okLabel });
+    });
+}
@@ -0,0 +1,126 @@
+/* Event loop model: replays a small program step by step and records what the call stack, the Web APIs,
+    the macrotask queue and the microtask queue look like after every step (eventLoopVisualizer.js draws them).
+    Real code can't be paused like that, so the program is described with the helpers below, one per line of code,
+    and the clock is simulated -> a 3000 ms timer takes one step, not 3 seconds.
+
+    The rules it follows (the same ones the browser does):
+    1. the script itself is the first macrotask, it runs until the call stack is empty
+    2. then EVERY microtask runs (Promise.then callbacks, the rest of an async function after await),
+        including the microtasks queued by those microtasks
+    3. then ONE macrotask (a setTimeout callback...), then the microtasks again, and so on
+    4. nothing to run -> the clock moves on to the next timer the Web APIs are waiting for
+    That's why setTimeout(..., 0) runs after Promise.resolve().then(...) even though it was called first.
+
+    const frames = buildFrames([
+        log(1, "script start"),
+        timeout(2, 0, "setTimeout callback", [log(2, "setTimeout 0")]),
+        microtask(3, "then callback", [log(3, "Promise.then")]),
+        log(4, "script end")
+    ]);
+    frames[i] = { line, note, time, stack, webApis, macrotasks, microtasks, console } */
+
+// console.log(text) (or console.error/warn, with level)
+export function log(line, text, level = "log"){
+    return { type: "log", line, text, level };
+}
+// calls a function: it's on the call stack while `body` runs (exitNote: when it leaves for another reason, e.g. an await)
+export function call(line, name, body = [], exitNote){
+    return { type: "call", line, name, body, exitNote };
+}
+// setTimeout(callback, delay): the timer waits in the Web APIs, then `body` runs as a macrotask
+export function timeout(line, delay, name, body = [], note){
+    return { type: "timeout", line, delay, name, body, note };
+}
+// a callback queued as a microtask right now: .then() on a settled promise, resolve() with someone awaiting it...
+export function microtask(line, name, body = [], note){
+    return { type: "microtask", line, name, body, note };
+}
+// nothing happens, it just explains this line (e.g. an await that pauses the function)
+export function note(line, text){
+    return { type: "note", line, text };
+}
+
+export function buildFrames(program){
+    const state = { time: 0, stack: [], webApis: [], macrotasks: [], microtasks: [], console: [] };
+    const frames = [];
+    const snapshot = (line, note) => frames.push({
+        line,
+        note,
+        time: state.time,
+        stack: [...state.stack],
+        webApis: state.webApis.map(api => ({ name: api.name, remaining: api.readyAt - state.time })),
+        macrotasks: state.macrotasks.map(task => task.name),
+        microtasks: state.microtasks.map(task => task.name),
+        console: [...state.console]
+    });
+
+    function run(ops){
+        ops.forEach(op => {
+            switch(op.type){
+                case "log":
+                    state.stack.push(`console.${op.level}()`);
+                    state.console.push({ text: op.text, level: op.level });
+                    snapshot(op.line, `console.${op.level}() runs right away, it's synchronous`);
+                    state.stack.pop();
+                    break;
+                case "call":
+                    state.stack.push(`${op.name}()`);
+                    snapshot(op.line, `${op.name}() is called -> it goes on top of the call stack`);
+                    run(op.body);
+                    state.stack.pop();
+                    snapshot(op.line, op.exitNote ?? `${op.name}() is finished -> it's taken off the call stack`);
+                    break;
+                case "timeout":
+                    // a timer isn't JavaScript: the browser counts down, the call stack moves on
+                    state.webApis.push({ name: op.name, readyAt: state.time + op.delay, line: op.line, task: op });
+                    snapshot(op.line, op.note ?? `setTimeout() hands "${op.name}" to the browser's timer (${op.delay} ms) and returns immediately`);
+                    break;
+                case "microtask":
+                    state.microtasks.push(op);
+                    snapshot(op.line, op.note ?? `"${op.name}" goes to the microtask queue, it runs as soon as the call stack is empty`);
+                    break;
+                case "note":
+                    snapshot(op.line, op.text);
+                    break;
+                default:
+                    throw new TypeError(`Unknown step type "${op.type}"`);
+            }
+        });
+    }
+    function runTask(task, queue){
+        state.stack.push(task.name);
+        snapshot(task.line, queue === "microtask"
+            ? `The call stack is empty -> the event loop runs the next microtask, "${task.name}"`
+            : `No microtasks left -> the event loop takes ONE macrotask, "${task.name}"`);
+        run(task.body);
+        state.stack.pop();
+        snapshot(task.line, `"${task.name}" is done, the call stack is empty again`);
+    }
+
+    state.stack.push("script");
+    snapshot(null, "The script starts running: it's the first macrotask");
+    run(program);
+    state.stack.pop();
+    snapshot(null, "The script is done, the call stack is empty -> the event loop checks the microtask queue first");
+    for(;;){
+        if(state.microtasks.length > 0){
+            runTask(state.microtasks.shift(), "microtask");
+            continue;
+        }
+        // the timer that's done first (the earliest one set, when two are done together)
+        const next = state.webApis.reduce((first, api) => first === null || api.readyAt < first.readyAt ? api : first, null);
+        // a timer that's already done is queued before the next macrotask runs; with nothing to run, the clock moves on to it
+        if(next && (next.readyAt <= state.time || state.macrotasks.length === 0)){
+            const waited = Math.max(0, next.readyAt - state.time);
+            state.time += waited;
+            state.webApis.splice(state.webApis.indexOf(next), 1);
+            state.macrotasks.push(next.task);
+            snapshot(next.line, `${waited > 0 ? `${waited} ms later: ` : ""}the timer is done -> "${next.name}" waits in the macrotask queue`);
+            continue;
+        }
+        if(state.macrotasks.length === 0) break;
+        runTask(state.macrotasks.shift(), "macrotask");
+    }
+    snapshot(null, "Everything is empty: the event loop waits for something new to happen");
+    return frames;
+}
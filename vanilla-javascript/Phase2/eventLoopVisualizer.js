@@ -0,0 +1,197 @@
+/* Event loop visualizer: steps through the examples from main.js (setTimeout vs Promise.then, the callback hell
+    task1..task4, the chores with async/await) and shows the call stack, Web APIs and both queues after every step.
+    The model that produces the steps is in eventLoop.js. */
+import { buildFrames, log, call, timeout, microtask, note } from './eventLoop.js';
+
+const PLAY_SPEED = 900; // ms per step
+
+// the callback hell example: task1(() => task2(() => ...)), each task calls `callback` when its timer is done
+function task(n, line, delay, callbackBody){
+    return call(line, `task${n}`, [
+        timeout(2, delay, `task${n}'s timer callback`, [log(3, `Task ${n} done`), call(4, "callback", callbackBody)])
+    ]);
+}
+
+const SCENARIOS = [
+    {
+        title: "setTimeout 0 vs Promise.then",
+        code: `console.log("script start");
+setTimeout(() => console.log("setTimeout 0"), 0);
+Promise.resolve().then(() => console.log("Promise.then"));
+console.log("script end");`,
+        program: [
+            log(1, "script start"),
+            timeout(2, 0, "setTimeout callback", [log(2, "setTimeout 0")]),
+            microtask(3, "then callback", [log(3, "Promise.then")], "The promise is already resolved -> the .then() callback goes straight to the microtask queue"),
+            log(4, "script end")
+        ]
+    },
+    {
+        title: "Microtasks between macrotasks",
+        code: `setTimeout(() => {
+    console.log("timeout 1");
+    Promise.resolve().then(() => console.log("then inside timeout 1"));
+}, 0);
+setTimeout(() => console.log("timeout 2"), 0);
+Promise.resolve()
+    .then(() => console.log("then 1"))
+    .then(() => console.log("then 2"));
+console.log("sync");`,
+        program: [
+            timeout(1, 0, "timeout 1 callback", [
+                log(2, "timeout 1"),
+                microtask(3, "then inside timeout 1", [log(3, "then inside timeout 1")])
+            ]),
+            timeout(5, 0, "timeout 2 callback", [log(5, "timeout 2")]),
+            microtask(7, "then 1", [
+                log(7, "then 1"),
+                microtask(8, "then 2", [log(8, "then 2")], "\"then 1\" returned -> the promise .then() gave back resolves, so \"then 2\" is queued (the second .then() had to wait until now)")
+            ]),
+            log(9, "sync")
+        ]
+    },
+    {
+        title: "Callback hell (task1..task4)",
+        code: `function task1(callback) {
+    setTimeout(() => {
+        console.log("Task 1 done");
+        callback();
+    }, 2000);
+}
+// task2, task3 and task4 are the same, with 1000, 3000 and 1500 ms
+task1(() => {
+    task2(() => {
+        task3(() => {
+            task4(() => console.log("All tasks completed"));
+        });
+    });
+});`,
+        program: [
+            task(1, 8, 2000, [task(2, 9, 1000, [task(3, 10, 3000, [task(4, 11, 1500, [log(11, "All tasks completed")])])])])
+        ]
+    },
+    {
+        title: "Chores with async/await",
+        code: `function walkDog() {
+    return new Promise(resolve => setTimeout(() => resolve("You've taken the dog on a walk 🐕"), 1500));
+}
+function cleanKitchen() {
+    return new Promise(resolve => setTimeout(() => resolve("You've cleaned the kitchen 🧹"), 2500));
+}
+async function doChores() {
+    console.log(await walkDog());
+    console.log(await cleanKitchen());
+    console.log("You've finished all the chores!");
+}
+doChores();
+console.log("doChores() is waiting, the script goes on");`,
+        program: [
+            call(12, "doChores", [
+                call(8, "walkDog", [
+                    timeout(2, 1500, "walkDog's timer callback", [
+                        microtask(2, "doChores (after await walkDog())", [
+                            log(8, "You've taken the dog on a walk 🐕"),
+                            call(9, "cleanKitchen", [
+                                timeout(5, 2500, "cleanKitchen's timer callback", [
+                                    microtask(5, "doChores (after await cleanKitchen())", [
+                                        log(9, "You've cleaned the kitchen 🧹"),
+                                        log(10, "You've finished all the chores!")
+                                    ], "resolve() -> the promise doChores() is awaiting is fulfilled, the rest of doChores() is queued as a microtask")
+                                ])
+                            ]),
+                            note(9, "await again: doChores() pauses until cleanKitchen()'s promise is fulfilled")
+                        ], "resolve() -> the promise doChores() is awaiting is fulfilled, the rest of doChores() is queued as a microtask")
+                    ])
+                ]),
+                note(8, "await: walkDog()'s promise is still pending, so doChores() pauses here")
+            ], "doChores() is paused at the await -> it leaves the call stack and the script goes on"),
+            log(13, "doChores() is waiting, the script goes on")
+        ]
+    }
+];
+
+const elScenario = document.getElementById("elScenario");
+const elStep = document.getElementById("elStep");
+const elPlay = document.getElementById("elPlay");
+const elReset = document.getElementById("elReset");
+const elCounter = document.getElementById("elCounter");
+const elCode = document.getElementById("elCode");
+const elStack = document.getElementById("elStack");
+const elWebApis = document.getElementById("elWebApis");
+const elMacrotasks = document.getElementById("elMacrotasks");
+const elMicrotasks = document.getElementById("elMicrotasks");
+const elConsole = document.getElementById("elConsole");
+const elNote = document.getElementById("elNote");
+
+let frames = [];
+let index = 0;
+let playTimer = null;
+
+// items that weren't there one step earlier get the "el-new" class (it animates them in), key tells them apart
+function renderList(ul, items, previousItems, text = item => item, key = text){
+    const seen = new Map();
+    previousItems.forEach(item => seen.set(key(item), (seen.get(key(item)) ?? 0) + 1));
+    ul.replaceChildren(...items.map(item => {
+        const li = document.createElement("li");
+        li.textContent = text(item);
+        const left = seen.get(key(item)) ?? 0;
+        if(left > 0) seen.set(key(item), left - 1);
+        else li.classList.add("el-new");
+        return li;
+    }));
+}
+function render(){
+    const frame = frames[index];
+    const previous = frames[index - 1] ?? { stack: [], webApis: [], macrotasks: [], microtasks: [], console: [] };
+    [...elCode.children].forEach((li, i) => li.classList.toggle("current", i + 1 === frame.line));
+    renderList(elStack, frame.stack, previous.stack);
+    renderList(elWebApis, frame.webApis, previous.webApis, api => `${api.name} (${api.remaining} ms left)`, api => api.name);
+    renderList(elMacrotasks, frame.macrotasks, previous.macrotasks);
+    renderList(elMicrotasks, frame.microtasks, previous.microtasks);
+    renderList(elConsole, frame.console, previous.console, entry => entry.text);
+    [...elConsole.children].forEach((li, i) => li.classList.add(frame.console[i].level)); // log, warn, error
+    elNote.textContent = frame.note;
+    elCounter.textContent = `Step ${index + 1} of ${frames.length}, ${frame.time} ms`;
+    const atEnd = index === frames.length - 1;
+    elStep.disabled = atEnd;
+    elPlay.disabled = atEnd;
+    if(atEnd) pause();
+}
+
+function load(){
+    pause();
+    const scenario = SCENARIOS[elScenario.value];
+    frames = buildFrames(scenario.program);
+    index = 0;
+    elCode.replaceChildren(...scenario.code.split("\n").map(line => {
+        const li = document.createElement("li");
+        li.textContent = line;
+        return li;
+    }));
+    render();
+}
+function step(){
+    if(index < frames.length - 1){
+        index++;
+        render();
+    }
+}
+function pause(){
+    clearInterval(playTimer);
+    playTimer = null;
+    elPlay.textContent = "Play";
+}
+
+SCENARIOS.forEach((scenario, i) => elScenario.add(new Option(scenario.title, i)));
+elScenario.addEventListener("change", load);
+elStep.addEventListener("click", () => {
+    pause();
+    step();
+});
+elPlay.addEventListener("click", () => {
+    if(playTimer !== null) return pause();
+    elPlay.textContent = "Pause";
+    playTimer = setInterval(step, PLAY_SPEED);
+});
+elReset.addEventListener("click", load);
+load();
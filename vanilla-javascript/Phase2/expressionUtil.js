@@ -0,0 +1,177 @@
+/* Expression calculator: tokenize -> parse -> evaluate, without eval().
+    Follows the operator precedence from Phase1 (highest first):
+    1. Parentheses ()
+    2. Exponents ** (right-associative: 2 ** 3 ** 2 = 2 ** (3 ** 2) = 512)
+    3. Unary minus (-2 ** 2 = -(2 ** 2) = -4, like in maths; plain JavaScript refuses to run that line at all)
+    4. Multiplication *, Division /, Modulo % (left-associative)
+    5. Addition +, Subtraction - (left-associative)
+
+    Grammar (each rule calls the one below it, so lower rules bind tighter):
+    expression -> term (("+" | "-") term)*
+    term       -> unary (("*" | "/" | "%") unary)*
+    unary      -> "-" unary | power
+    power      -> primary ("**" unary)?
+    primary    -> NUMBER | "(" expression ")" */
+
+export class ExpressionSyntaxError extends SyntaxError {
+    constructor(message, position){
+        super(`${message} at position ${position}`);
+        this.name = "ExpressionSyntaxError";
+        this.position = position; // index of the offending character, starting from 0
+    }
+}
+export class EvaluationError extends Error {
+    constructor(message, position){
+        super(`${message} at position ${position}`);
+        this.name = "EvaluationError";
+        this.position = position;
+    }
+}
+
+const OPERATORS = ["**", "+", "-", "*", "/", "%"]; // "**" first so it isn't read as two "*"
+const NUMBER = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i;
+
+export function tokenize(source){
+    const tokens = [];
+    let position = 0;
+    while(position < source.length){
+        const rest = source.slice(position);
+        if(/^\s/.test(rest)){
+            position++;
+            continue;
+        }
+        const number = rest.match(NUMBER);
+        if(number){
+            tokens.push({ type: "number", value: Number(number[0]), text: number[0], position });
+            position += number[0].length;
+            continue;
+        }
+        const operator = OPERATORS.find(op => rest.startsWith(op));
+        if(operator){
+            tokens.push({ type: "operator", value: operator, text: operator, position });
+            position += operator.length;
+            continue;
+        }
+        if(rest[0] === "(" || rest[0] === ")"){
+            tokens.push({ type: "paren", value: rest[0], text: rest[0], position });
+            position++;
+            continue;
+        }
+        throw new ExpressionSyntaxError(`Unexpected character "${rest[0]}"`, position);
+    }
+    tokens.push({ type: "end", value: null, text: "end of input", position });
+    return tokens;
+}
+
+export function parse(source){
+    const tokens = tokenize(source);
+    let current = 0;
+    const peek = () => tokens[current];
+    const next = () => tokens[current++];
+    const isOperator = (...ops) => peek().type === "operator" && ops.includes(peek().value);
+    const unexpected = token => new ExpressionSyntaxError(
+        token.type === "end" ? "Unexpected end of input" : `Unexpected "${token.text}"`, token.position);
+
+    function expression(){
+        let node = term();
+        while(isOperator("+", "-")){
+            const { value, position } = next();
+            node = { type: "binary", operator: value, left: node, right: term(), position };
+        }
+        return node;
+    }
+    function term(){
+        let node = unary();
+        while(isOperator("*", "/", "%")){
+            const { value, position } = next();
+            node = { type: "binary", operator: value, left: node, right: unary(), position };
+        }
+        return node;
+    }
+    function unary(){
+        if(isOperator("-")){
+            const { position } = next();
+            return { type: "unary", operator: "-", operand: unary(), position };
+        }
+        return power();
+    }
+    function power(){
+        const base = primary();
+        if(isOperator("**")){
+            const { position } = next();
+            return { type: "binary", operator: "**", left: base, right: unary(), position }; // unary() recurses back into power() -> right-associative
+        }
+        return base;
+    }
+    function primary(){
+        const token = next();
+        if(token.type === "number"){
+            return { type: "number", value: token.value, position: token.position };
+        }
+        if(token.type === "paren" && token.value === "("){
+            const node = expression();
+            const closing = next();
+            if(closing.type !== "paren" || closing.value !== ")"){
+                throw new ExpressionSyntaxError(`Expected ")" (to close the "(" from position ${token.position})`, closing.position);
+            }
+            return node;
+        }
+        throw unexpected(token);
+    }
+
+    const tree = expression();
+    if(peek().type !== "end"){
+        throw unexpected(peek());
+    }
+    return tree;
+}
+
+export function evaluate(input){
+    const node = typeof input === "string" ? parse(input) : input;
+    switch(node.type){
+        case "number":
+            return node.value;
+        case "unary":
+            return -evaluate(node.operand);
+        case "binary": {
+            const left = evaluate(node.left);
+            const right = evaluate(node.right);
+            switch(node.operator){
+                case "+": return left + right;
+                case "-": return left - right;
+                case "*": return left * right;
+                case "/":
+                    if(right === 0) throw new EvaluationError("Division by zero", node.position);
+                    return left / right;
+                case "%":
+                    if(right === 0) throw new EvaluationError("Modulo by zero", node.position);
+                    return left % right;
+                case "**": return left ** right;
+            }
+        }
+    }
+    throw new TypeError(`Unknown node type "${node.type}"`);
+}
+
+/* Parse tree as text, e.g. 1 + 2 * 3:
+    +
+    ├── 1
+    └── *
+        ├── 2
+        └── 3 */
+export function formatTree(node, prefix = "", isLast = true, isRoot = true){
+    const label = node.type === "number" ? String(node.value) : node.type === "unary" ? "-(unary)" : node.operator;
+    const line = isRoot ? label : `${prefix}${isLast ? "└── " : "├── "}${label}`;
+    const children = node.type === "binary" ? [node.left, node.right] : node.type === "unary" ? [node.operand] : [];
+    const childPrefix = isRoot ? "" : prefix + (isLast ? "    " : "│   ");
+    return [line, ...children.map((child, i) =>
+        formatTree(child, childPrefix, i === children.length - 1, false))].join("\n");
+}
+// every operation wrapped in brackets, which shows the order the parser picked: 1 + 2 * 3 -> (1 + (2 * 3))
+export function toParenthesized(node){
+    switch(node.type){
+        case "number": return String(node.value);
+        case "unary": return `(-${toParenthesized(node.operand)})`;
+        default: return `(${toParenthesized(node.left)} ${node.operator} ${toParenthesized(node.right)})`;
+    }
+}
@@ -0,0 +1,161 @@
+/* Functional programming helpers, the reusable versions of curry()/createMultiplier() from Phase1 and fpDemo().
+
+    const slug = pipe(s => s.trim(), s => s.toLowerCase(), s => s.replaceAll(" ", "-"));
+    const divide = curry((a, b) => a / b);
+    const half = divide(_, 2);                 // _ = "fill this argument in later"
+    const fib = memoize(n => n < 2 ? n : fib(n - 1) + fib(n - 2), { maxSize: 100 });
+    window.addEventListener("resize", debounce(layout, 200));   // once, 200ms after the LAST resize event
+    window.addEventListener("scroll", throttle(update, 100));   // at most once every 100ms while scrolling */
+
+export const _ = Symbol("placeholder");
+
+// compose(f, g, h)(x) = f(g(h(x))) -> right to left, like maths
+export function compose(...fns){
+    return pipe(...fns.reverse());
+}
+// pipe(f, g, h)(x) = h(g(f(x))) -> left to right, in the order they run
+export function pipe(...fns){
+    fns.forEach(fn => {
+        if(typeof fn !== "function") throw new TypeError(`pipe/compose only take functions (got ${fn})`);
+    });
+    return function piped(...args){
+        if(fns.length === 0) return args[0];
+        return fns.slice(1).reduce((value, fn) => fn.call(this, value), fns[0].apply(this, args));
+    };
+}
+
+// puts `next` into the placeholder slots of `args` first, then after them
+function fillPlaceholders(args, next){
+    const queue = [...next];
+    const filled = args.map(arg => arg === _ && queue.length ? queue.shift() : arg);
+    return [...filled, ...queue];
+}
+/* curry((a, b, c) => a + b + c)(1)(2)(3) === curry(...)(1, 2)(3) === curry(...)(_, 2)(1, 3)
+    It calls fn once `arity` arguments are there and none of them is a placeholder.
+    arity defaults to fn.length, which doesn't count default values or ...rest, so pass it for those. */
+export function curry(fn, arity = fn.length){
+    return function curried(...args){
+        const real = args.slice(0, arity);
+        if(real.length >= arity && !real.includes(_)) return fn.apply(this, args);
+        return function(...next){
+            return curried.apply(this, fillPlaceholders(args, next));
+        };
+    };
+}
+// partial(greet, "Hello")("Sapto") -> greet("Hello", "Sapto"), placeholders work here too
+export function partial(fn, ...presetArgs){
+    return function(...laterArgs){
+        return fn.apply(this, fillPlaceholders(presetArgs, laterArgs));
+    };
+}
+
+/* Remembers results by key (the first argument by default, pass key for anything else,
+    e.g. key: (a, b) => `${a},${b}`). maxSize throws out the least recently used result once it's full.
+    memoized.cache is the Map, memoized.clear() empties it. */
+export function memoize(fn, { key = first => first, maxSize = Infinity } = {}){
+    const cache = new Map();
+    function memoized(...args){
+        const cacheKey = key(...args);
+        if(cache.has(cacheKey)){
+            const value = cache.get(cacheKey);
+            cache.delete(cacheKey); // re-inserted below -> a Map keeps insertion order, so the oldest key is first
+            cache.set(cacheKey, value);
+            return value;
+        }
+        const value = fn.apply(this, args);
+        cache.set(cacheKey, value);
+        if(cache.size > maxSize) cache.delete(cache.keys().next().value);
+        return value;
+    }
+    memoized.cache = cache;
+    memoized.clear = () => cache.clear();
+    return memoized;
+}
+
+// only the first call runs fn, every later call returns that first result
+export function once(fn){
+    let called = false;
+    let result;
+    return function(...args){
+        if(!called){
+            called = true;
+            result = fn.apply(this, args);
+        }
+        return result;
+    };
+}
+
+/* Waits until the calls stop for `wait` ms, then runs fn once (with the last arguments).
+    leading: true -> also run on the first call of a burst; trailing: false -> don't run at the end.
+    .cancel() drops a pending call, .flush() runs it now. */
+export function debounce(fn, wait, { leading = false, trailing = true } = {}){
+    let timer = null;
+    let pending = null; // { context, args } of the call waiting for the trailing run
+    function run(){
+        const { context, args } = pending;
+        pending = null;
+        fn.apply(context, args);
+    }
+    function debounced(...args){
+        const startOfBurst = timer === null;
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timer = null;
+            if(trailing && pending) run();
+            pending = null;
+        }, wait);
+        if(leading && startOfBurst) fn.apply(this, args);
+        else pending = { context: this, args };
+    }
+    debounced.cancel = () => {
+        clearTimeout(timer);
+        timer = null;
+        pending = null;
+    };
+    debounced.flush = () => {
+        clearTimeout(timer);
+        timer = null;
+        if(pending) run();
+    };
+    return debounced;
+}
+
+/* Runs fn at most once every `wait` ms, however often it's called.
+    leading: false -> skip the call that starts it; trailing: false -> drop the last call of a burst
+    instead of running it when the wait is over. .cancel() drops a pending trailing call. */
+export function throttle(fn, wait, { leading = true, trailing = true } = {}){
+    let lastRun = 0;
+    let timer = null;
+    let pending = null;
+    function run(context, args){
+        lastRun = Date.now();
+        pending = null;
+        fn.apply(context, args);
+    }
+    function throttled(...args){
+        const now = Date.now();
+        if(!leading && timer === null && lastRun === 0) lastRun = now; // acts like it just ran, so the first call waits
+        const remaining = wait - (now - lastRun);
+        if(remaining <= 0){
+            clearTimeout(timer);
+            timer = null;
+            run(this, args);
+            return;
+        }
+        pending = { context: this, args };
+        if(trailing && timer === null){
+            timer = setTimeout(() => {
+                timer = null;
+                if(pending) run(pending.context, pending.args);
+                if(!leading) lastRun = 0;
+            }, remaining);
+        }
+    }
+    throttled.cancel = () => {
+        clearTimeout(timer);
+        timer = null;
+        pending = null;
+        lastRun = 0;
+    };
+    return throttled;
+}
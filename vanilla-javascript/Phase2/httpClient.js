@@ -0,0 +1,237 @@
+/* fetch() with the parts a bare fetch() leaves out:
+    - fetch() only rejects on network errors: a 404 or 500 "succeeds" -> here every non-2xx response throws an HttpError
+    - timeouts (AbortController), and retries with exponential backoff on network errors, timeouts and 5xx responses
+    - a response cache: fresh for `ttl` ms, after that it's revalidated with the ETag (a 304 means "still the same")
+    - identical GETs that are already on their way share one request instead of sending another
+    - when the network is down, GETs can fall back to local JSON fixtures (a URL to a bundled .json file, or the data itself)
+
+    const client = new HttpClient({ timeout: 5000, retries: 2, fixtures: { "/api/users/1": "fixtures/user-1.json" } });
+    const user = await client.getJSON("/api/users/1", { ttl: 60000 });
+    const { data, source } = await client.request("/api/users/1"); // source: "network" | "cache" | "revalidated" | "fixture"
+
+    Events: "retry" (detail: { url, attempt, delay, error }) and "fallback" (detail: { url, error }) */
+
+export class FetchError extends Error {
+    constructor(message, url, cause){
+        super(message, { cause });
+        this.name = "FetchError";
+        this.url = url;
+    }
+}
+// the server answered, but not with a 2xx status
+export class HttpError extends FetchError {
+    constructor(url, status, statusText, body){
+        super(`${status} ${statusText || "error"} from ${url}`, url);
+        this.name = "HttpError";
+        this.status = status;
+        this.body = body;
+    }
+}
+// the response came back, but it isn't valid JSON
+export class ParseError extends FetchError {
+    constructor(url, cause){
+        super(`The response from ${url} isn't valid JSON`, url, cause);
+        this.name = "ParseError";
+    }
+}
+export class TimeoutError extends FetchError {
+    constructor(url, ms){
+        super(`${url} didn't answer within ${ms} ms`, url);
+        this.name = "TimeoutError";
+        this.timeout = ms;
+    }
+}
+// cancelled by the caller's AbortSignal
+export class AbortError extends FetchError {
+    constructor(url){
+        super(`The request to ${url} was cancelled`, url);
+        this.name = "AbortError";
+    }
+}
+// no response at all (offline, DNS, CORS...)
+export class NetworkError extends FetchError {
+    constructor(url, cause){
+        super(`Couldn't reach ${url}`, url, cause);
+        this.name = "NetworkError";
+    }
+}
+
+function isRetryable(error){
+    return error instanceof NetworkError || error instanceof TimeoutError || (error instanceof HttpError && error.status >= 500);
+}
+// waits `ms`, unless the signal aborts first
+function sleep(ms, signal){
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        // done waiting -> the listener goes too, or every retry would leave one on the caller's signal
+        const timer = setTimeout(() => {
+            signal?.removeEventListener("abort", onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener("abort", onAbort, { once: true });
+    });
+}
+
+export class HttpClient extends EventTarget {
+    /* baseUrl: prepended to relative URLs; timeout: ms per attempt; retries: extra attempts after the first;
+        retryDelay: the first backoff in ms, doubled every retry (with jitter) up to maxRetryDelay;
+        ttl: default cache lifetime for GETs in ms (0 = always revalidate); fixtures: { url: data or "file.json" } */
+    constructor({ baseUrl = "", timeout = 8000, retries = 2, retryDelay = 300, maxRetryDelay = 5000, ttl = 0, fixtures = {}, fetch = (...args) => globalThis.fetch(...args) } = {}){
+        super();
+        Object.assign(this, { baseUrl, timeout, retries, retryDelay, maxRetryDelay, ttl, fixtures });
+        this._fetch = fetch;
+        this._cache = new Map();    // url -> { data, etag, expires }
+        this._inFlight = new Map(); // url -> Promise, for deduplication
+    }
+
+    async getJSON(url, options){
+        return (await this.request(url, options)).data;
+    }
+    async postJSON(url, body, options = {}){
+        return (await this.request(url, { ...options, method: "POST", body })).data;
+    }
+
+    // { data, source, status }
+    request(url, { method = "GET", body, headers = {}, signal, timeout = this.timeout, retries = this.retries, ttl = this.ttl } = {}){
+        const fullUrl = /^[a-z]+:\/\//i.test(url) || !this.baseUrl ? url : this.baseUrl + url;
+        method = method.toUpperCase();
+        if(method !== "GET") return this._send(fullUrl, { method, body, headers, signal, timeout, retries });
+        // a caller with its own signal might cancel, which shouldn't cancel everyone else sharing the request
+        if(!signal && this._inFlight.has(fullUrl)) return this._inFlight.get(fullUrl);
+        const promise = this._get(fullUrl, { headers, signal, timeout, retries, ttl });
+        if(!signal){
+            this._inFlight.set(fullUrl, promise);
+            const forget = () => this._inFlight.delete(fullUrl);
+            promise.then(forget, forget);
+        }
+        return promise;
+    }
+    clearCache(url){
+        url === undefined ? this._cache.clear() : this._cache.delete(url);
+    }
+
+    async _get(url, { headers, signal, timeout, retries, ttl }){
+        const cached = this._cache.get(url);
+        if(cached && Date.now() < cached.expires) return { data: cached.data, source: "cache", status: 200 };
+        try {
+            const result = await this._send(url, {
+                method: "GET",
+                headers: cached?.etag ? { ...headers, "If-None-Match": cached.etag } : headers,
+                signal, timeout, retries
+            });
+            if(result.status === 304 && cached){
+                cached.expires = Date.now() + ttl;
+                return { data: cached.data, source: "revalidated", status: 304 };
+            }
+            if(result.etag || ttl > 0) this._cache.set(url, { data: result.data, etag: result.etag, expires: Date.now() + ttl });
+            return { data: result.data, source: "network", status: result.status };
+        }
+        catch (error) {
+            // offline -> a stale cached copy, or else a fixture, is better than nothing
+            if(!(error instanceof NetworkError || error instanceof TimeoutError)) throw error;
+            if(cached){
+                this.dispatchEvent(new CustomEvent("fallback", { detail: { url, error } }));
+                return { data: cached.data, source: "cache", status: 200 };
+            }
+            if(!(url in this.fixtures)) throw error;
+            this.dispatchEvent(new CustomEvent("fallback", { detail: { url, error } }));
+            return { data: await this._loadFixture(url, error), source: "fixture", status: 200 };
+        }
+    }
+    async _loadFixture(url, originalError){
+        const fixture = this.fixtures[url];
+        if(typeof fixture !== "string") return structuredClone(fixture);
+        try {
+            const response = await this._fetch(fixture);
+            return await response.json();
+        }
+        catch {
+            throw originalError; // the fixture couldn't be loaded either -> report the real problem
+        }
+    }
+
+    // one request with retries -> { data, status, etag }
+    async _send(url, { method, body, headers, signal, timeout, retries }){
+        const init = { method, headers: { Accept: "application/json", ...headers } };
+        if(body !== undefined){
+            init.body = typeof body === "string" ? body : JSON.stringify(body);
+            init.headers["Content-Type"] ??= "application/json";
+        }
+        for(let attempt = 0; ; attempt++){
+            try {
+                return await this._attempt(url, init, signal, timeout);
+            }
+            catch (error) {
+                if(attempt >= retries || !isRetryable(error)) throw error;
+                // 300, 600, 1200... ms, each between 50% and 100% of that (jitter), so many clients don't all retry at once
+                const delay = Math.min(this.maxRetryDelay, this.retryDelay * 2 ** attempt) * (0.5 + Math.random() / 2);
+                this.dispatchEvent(new CustomEvent("retry", { detail: { url, attempt: attempt + 1, delay, error } }));
+                try {
+                    await sleep(delay, signal);
+                }
+                catch {
+                    throw new AbortError(url);
+                }
+            }
+        }
+    }
+    async _attempt(url, init, signal, timeout){
+        if(signal?.aborted) throw new AbortError(url);
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        const onAbort = () => controller.abort();
+        signal?.addEventListener("abort", onAbort, { once: true });
+        try {
+            let response;
+            try {
+                response = await this._fetch(url, { ...init, signal: controller.signal });
+            }
+            catch (error) {
+                if(timedOut) throw new TimeoutError(url, timeout);
+                if(signal?.aborted) throw new AbortError(url);
+                throw new NetworkError(url, error);
+            }
+            if(response.status === 304) return { data: null, status: 304, etag: response.headers.get("ETag") };
+            let text;
+            try {
+                text = await response.text(); // the body can time out too, it's read inside the same timer
+            }
+            catch (error) {
+                if(timedOut) throw new TimeoutError(url, timeout);
+                if(signal?.aborted) throw new AbortError(url);
+                throw new NetworkError(url, error);
+            }
+            if(!response.ok){
+                let errorBody = text;
+                try {
+                    errorBody = JSON.parse(text);
+                }
+                catch {
+                    // not JSON, keep the text
+                }
+                throw new HttpError(url, response.status, response.statusText, errorBody);
+            }
+            let data = null;
+            if(text !== ""){
+                try {
+                    data = JSON.parse(text);
+                }
+                catch (error) {
+                    throw new ParseError(url, error);
+                }
+            }
+            return { data, status: response.status, etag: response.headers.get("ETag") };
+        }
+        finally {
+            clearTimeout(timer);
+            signal?.removeEventListener("abort", onAbort);
+        }
+    }
+}
@@ -31,8 +31,14 @@ Key aspects and mechanisms contributing to JavaScript's asynchronous nature incl
 - Web APIs:
     Browser-provided APIs (like setTimeout, fetch, XMLHttpRequest) that handle asynchronous operations outside
     the main JavaScript thread. When these operations complete, their associated callbacks are placed in the Message Queue.
+-> The "Event Loop" section of the page steps through this with the examples below (eventLoop.js + eventLoopVisualizer.js):
+    there are two queues, Promise callbacks (microtasks) always go before the next setTimeout callback (macrotask).
 */
 
+/* Console panel: shows everything logged below on the page too (see consolePanel.js) */
+import { installConsolePanel } from './consolePanel.js';
+installConsolePanel();
+
 /* DOM helper to print output */
 function print(msg) {
     const out = document.getElementById("output");
@@ -40,33 +46,105 @@ function print(msg) {
 }
 
 /* Async/Await + Promises */
+// async function runAsyncTask() {
+//     print("Running async task...");
+//     try {
+//         const result = await fakeFetch(true);
+//         print("Async success: " + result);
+//     } catch (e) {
+//         print("Async error: " + e);
+//     }
+// }
 async function runAsyncTask() {
     print("Running async task...");
-    try {
-        const result = await fakeFetch(true);
-        print("Async success: " + result);
-    } catch (e) {
-        print("Async error: " + e);
-    }
-}
-
-function fakeFetch(success = true) {
-    return new Promise((resolve, reject) => {
-        setTimeout(() => {
-            success ? resolve("Data loaded!") : reject("Fetch failed.");
-        }, 1000);
-    });
+    /* three requests at once -> they come back in whatever order the network decides.
+        With the default settings (fixed 1000 ms) that's the order they were sent,
+        turn on jitter or another latency distribution in the "Network Simulator" section and it isn't anymore.
+        allSettled instead of all: one failed request doesn't hide how the other two went */
+    const names = ["first", "second", "third"];
+    const arrived = [];
+    const results = await Promise.allSettled(names.map(name => fakeFetch(true, name).finally(() => arrived.push(name))));
+    const outcomes = results.map((result, i) => result.status === "fulfilled"
+        ? `${names[i]}: ${result.value}`
+        : `${names[i]}: failed (${result.reason.message})`); // with failures turned on in the simulator
+    print(`Sent: ${names.join(", ")}\nCame back: ${arrived.join(", ")}\n${outcomes.join("\n")}`);
+}
+
+// function fakeFetch(success = true) {
+//     return new Promise((resolve, reject) => {
+//         setTimeout(() => {
+//             success ? resolve("Data loaded!") : reject("Fetch failed.");
+//         }, 1000);
+//     });
+// }
+// same promise as before, but the delay and the failures now come from the network simulator (networkSimulator.js)
+import { network, RequestTimeoutError, PartialResponseError } from './networkSimulator.js';
+function fakeFetch(success = true, label = "fakeFetch") {
+    return network.request(label, { data: "Data loaded!", fail: !success });
 }
 
 /* Fetch + JSON */
+// the mock API answers jsonplaceholder (and /api/...) requests locally, so this works offline too (settings: "Mock API" section)
+import { installMockApi, MOCK_API_SNIPPET } from './mockApi.js';
+installMockApi();
+// a bare fetch() doesn't check res.ok and waits forever -> httpClient.js adds timeouts, retries, a cache and offline fixtures
+import { HttpClient, HttpError, ParseError, TimeoutError, AbortError } from './httpClient.js';
+const httpClient = new HttpClient({
+    timeout: 5000,
+    retries: 2,
+    ttl: 30000,
+    fixtures: { "https://jsonplaceholder.typicode.com/posts/1": "post1.json" } // used when the request can't get through
+});
+httpClient.addEventListener("retry", ({ detail: { url, attempt, delay, error } }) => {
+    console.warn(`${error.message} -> retry ${attempt} of ${url} in ${Math.round(delay)} ms`);
+});
+httpClient.addEventListener("fallback", ({ detail: { url, error } }) => {
+    console.warn(`${error.message} -> using the saved copy of ${url}`);
+});
+// async function fetchData() {
+//     print("Fetching JSON...");
+//     try {
+//         const res = await fetch("https://jsonplaceholder.typicode.com/posts/1");
+//         const data = await res.json();
+//         print(data);
+//     } catch (err) {
+//         print("Fetch error: " + err.message);
+//     }
+// }
 async function fetchData() {
     print("Fetching JSON...");
     try {
-        const res = await fetch("https://jsonplaceholder.typicode.com/posts/1");
-        const data = await res.json();
+        // run it twice in a row: the second one comes from the cache (or gets a 304 once the ttl is over)
+        const { data, source } = await httpClient.request("https://jsonplaceholder.typicode.com/posts/1");
         print(data);
+        console.log(`fetchData: from the ${source}`);
     } catch (err) {
-        print("Fetch error: " + err.message);
+        if (err instanceof HttpError) print(`Fetch error: the server answered ${err.status}`);
+        else if (err instanceof TimeoutError) print("Fetch error: the server took too long");
+        else if (err instanceof ParseError) print("Fetch error: the server didn't send JSON");
+        else if (err instanceof AbortError) print("Fetch cancelled");
+        else print("Fetch error: " + err.message); // NetworkError, after the retries and with no fixture to fall back to
+    }
+}
+
+/* REST with the mock API: create, read, update, delete (CRUD) -> POST, GET, PATCH, DELETE */
+async function mockApiDemo() {
+    print("Talking to the mock API...");
+    const request = async (method, url, body) => {
+        const res = await fetch(url, { method, body: body && JSON.stringify(body), headers: { "Content-Type": "application/json" } });
+        return `${method} ${url} -> ${res.status} ${JSON.stringify(await res.json())}`;
+    };
+    try {
+        const lines = [];
+        lines.push(await request("GET", "/api/users/1"));
+        lines.push(await request("POST", "/api/games", { name: "Hollow Knight", price: 500, hasReleased: true }));
+        lines.push(await request("PATCH", "/api/games/4", { price: 7000 }));
+        lines.push(await request("GET", "/api/games?hasReleased=false"));
+        lines.push(await request("DELETE", "/api/posts/4"));
+        lines.push(await request("GET", "/api/posts/4")); // 404 now
+        print(lines.join("\n"));
+    } catch (err) {
+        print("Request failed: " + err.message); // network errors from the "Network errors" slider end up here
     }
 }
 
@@ -651,11 +729,21 @@ console.log(`Date: ${date}`);
    const date2 = new Date("2026-09-28");
    if (date1 < date2) console.log(`${date1} comes before ${date2}`);
    else console.log(`${date1} comes after ${date2}`); */
-const SaptoTurns21 = new Date("2025-08-28");
-if (date === SaptoTurns21) console.log("Sapto turns 21 today. Happy Birthday KING!!");
+// const SaptoTurns21 = new Date("2025-08-28"); -> midnight UTC, which is still the 27th west of London
+// if (date === SaptoTurns21) ... -> === compares the objects themselves, two different Dates are never equal, so this never ran
+import { parseDate, isSameDay, dateParts, ageOn, daysUntilAnniversary, addMonths, mountCountdown } from './dateUtil.js';
+const SaptoTurns21 = parseDate("2025-08-28"); // local midnight
+if (isSameDay(date, SaptoTurns21)) console.log("Sapto turns 21 today. Happy Birthday KING!!");
 else if (date < SaptoTurns21) console.log("Sapto isn't 21 yet.");
 else if (date > SaptoTurns21) console.log("Sapto is 21 or older.");
 
+/* dateUtil.js also does the calendar maths (months 1-12 and weekdays 1-7, so no more +1) */
+const SaptoBirthday = parseDate("2004-08-28");
+console.log(dateParts(date)); // { year, month, day, weekday, ... }
+console.log(`Sapto is ${ageOn(SaptoBirthday)}, next birthday in ${daysUntilAnniversary(SaptoBirthday)} days`);
+console.log(addMonths("2025-01-31", 1)); // Feb 28th, not March 3rd
+mountCountdown(document.getElementById("birthdayCountdown"), { target: SaptoBirthday, label: "Sapto's birthday", recurring: true });
+
 /* setTimeout(): (function in JavaScript that allows you to schedule the execution of a function after an amount of time)
     The setTimeout() method in JavaScript allows for the delayed execution of a function or
     the evaluation of a code string after a specified duration. It is a fundamental part of
@@ -678,13 +766,14 @@ function hello() {
 setTimeout(hello, 3000);
 
 // 2 -> clearTimeout(): can cancel a timeout before it triggers
-const timeoutId = setTimeout(() => window.alert("Hello"), 3000);
+import { notify } from './dialog.js'; // in-page replacement for window.alert(), which freezes the page
+const timeoutId = setTimeout(() => notify("Hello"), 3000);
 clearTimeout(timeoutId);
 
 // 3
 let timeoutId1;
 function showAlert() {
-    window.alert("Hello");
+    notify("Hello");
 }
 function startTimer() {
     timeoutId1 = setTimeout(showAlert, 3000);
@@ -722,6 +811,9 @@ clearInterval():
 //     console.log("Interval stopped!");
 //   }
 // }, 1000); // Execute every 1 second (= 1000 milliseconds)
+// Careful: count++ per tick isn't a clock. Ticks run late when the page is busy (and far less often in background tabs),
+// so a counter like this slowly falls behind. The stopwatch/countdown/pomodoro in timerUtil.js (the "Timers" section of the page)
+// use setInterval only to redraw, and work out the time from Date.now() instead.
 
 /* console.time():
     It is a tool that allows the measurement of the time it takes for a section of code or process to execute.
@@ -910,13 +1002,27 @@ console.log(squares);
 
 // 2
 const yyyymmdd = ["2025-07-12", "2025-08-28", "2025-12-23"];
+// function dateFormatter(date) {
+//     const partsOfDate = date.split("-");
+//     return `${partsOfDate[2]}.${partsOfDate[1]}.${partsOfDate[0]}`;
+// }
+// -> only works for this one format and happily turns "2025-02-30" into "30.02.2025"; dateFormat.js reads and writes any pattern
+import { formatDate, parseFormattedDate, DateParseError } from './dateFormat.js';
 function dateFormatter(date) {
-    const partsOfDate = date.split("-");
-    return `${partsOfDate[2]}.${partsOfDate[1]}.${partsOfDate[0]}`;
+    return formatDate(parseFormattedDate(date, "YYYY-MM-DD"), "DD.MM.YYYY");
 }
 const ddmmyyyy = yyyymmdd.map(dateFormatter);
 console.log(yyyymmdd);
 console.log(ddmmyyyy);
+console.log(yyyymmdd.map(date => formatDate(parseFormattedDate(date, "YYYY-MM-DD"), "ddd, DD MMMM YYYY"))); // "Sat, 12 July 2025", ...
+console.log(formatDate(new Date(), "DD MMM YYYY, hh:mm A", { locale: "hi-IN" }));
+try {
+    dateFormatter("2025-02-30");
+}
+catch (error) {
+    if (!(error instanceof DateParseError)) throw error;
+    console.error(error.message); // ... February 2025 has 28 days, there's no day 30
+}
 
 /* filter() method:
     It creates a new array containing only the elements from the
@@ -964,6 +1070,12 @@ function getMinAge(previousAge, currentAge) {
 }
 console.log(maximumAge);
 console.log(minimumAge);
+// 3 -> statsUtil.js does this (and more) for arrays of numbers or of objects by key
+import { max, min, mean, median, standardDeviation, histogram } from './statsUtil.js';
+console.log(max(agesOfSomePeople), min(agesOfSomePeople));
+console.log(`Mean age: ${mean(agesOfSomePeople).toFixed(1)}, median age: ${median(agesOfSomePeople)}, std dev: ${standardDeviation(agesOfSomePeople).toFixed(1)}`);
+console.log(histogram(agesOfSomePeople, 4));
+console.log(`Mean GPA: ${mean(students, { key: "gpa" })}`);
 
 /* Function Expressions: (basically a way to define functions as values or variables; not to be confused with function declarations)
     In JavaScript, a function expression defines a function within an expression,
@@ -1227,8 +1339,16 @@ function fpDemo() {
     const doubled = arr.map(x => x * 2);
     const filtered = arr.filter(x => x % 2 === 0);
     const sum = arr.reduce((a, b) => a + b, 0);
-    print(`Functional Programming:\nDoubled: ${doubled}\nFiltered (even): ${filtered}\nSum: ${sum}`);
+    // the same steps as one reusable function (pipe/curry from fpUtil.js)
+    const sumOfDoubledEvens = pipe(curry(filter)(x => x % 2 === 0), curry(map)(x => x * 2), curry(reduce)((a, b) => a + b, 0));
+    const half = curry((a, b) => a / b)(_, 2); // _ = "fill this argument in later" -> half(x) = x / 2
+    print(`Functional Programming:\nDoubled: ${doubled}\nFiltered (even): ${filtered}\nSum: ${sum}\nSum of doubled evens (pipe): ${sumOfDoubledEvens(arr)}\nHalf of the sum (curry + _): ${half(sum)}`);
 }
+import { pipe, curry, _ } from './fpUtil.js';
+// data last, so curry() can fill in the function first and the array later
+const map = (fn, array) => array.map(fn);
+const filter = (fn, array) => array.filter(fn);
+const reduce = (fn, initial, array) => array.reduce(fn, initial);
 
 /* Error handling:
 Error: An Object that is created to represent a problem that occurs.
@@ -1239,18 +1359,37 @@ finally{}: (optional) Always executes. Used mostly for cleanup.
 Eg. close files, close connections, release resources
 */
 // 1 -> in async/await
+// async function errorHandlingAsyncDemo() {
+//     print("Error handling in async/await:");
+//     try {
+//         await fakeFetch(false);
+//     } catch (e) {
+//         print(`Caught error: ${e}`);
+//     }
+// }
 async function errorHandlingAsyncDemo() {
     print("Error handling in async/await:");
+    const lines = [];
     try {
         await fakeFetch(false);
     } catch (e) {
-        print(`Caught error: ${e}`);
+        lines.push(`Caught error: ${e}`);
+    }
+    // a request can also be too slow or get cut off -> instanceof tells the kinds of errors apart
+    try {
+        await network.request("request with a 300 ms timeout", { timeout: 300 }); // makes it only when the simulator's latency is under 300 ms
+        lines.push("The second request made it in time.");
+    } catch (e) {
+        if (e instanceof RequestTimeoutError) lines.push(`Gave up: ${e.message}`);
+        else if (e instanceof PartialResponseError) lines.push(`Incomplete response: ${e.message}`);
+        else lines.push(`Caught error: ${e}`);
     }
+    print(lines.join("\n"));
 }
 // 2
 // try {
-//     const dividend = Number(window.prompt("Enter a dividend: "));
-//     const divisor = Number(window.prompt("Enter a divisor: "));
+//     const dividend = Number(await ask("Enter a dividend: ")); // ask() from dialog.js (top-level await works in modules)
+//     const divisor = Number(await ask("Enter a divisor: "));
 //     if (divisor == 0) {
 //         throw new Error("You can't divide by zero!!");
 //     }
@@ -1301,15 +1440,29 @@ function customEventDemo() {
 function formSubmissionDemo() {
     print("Form submission: Prevent default and validate input.");
     const form = document.createElement('form');
-    form.innerHTML = `<input type='text' id='demoInput' placeholder='Type something'><button>Submit</button>`;
-    form.onsubmit = function (e) {
+    form.noValidate = true; // our own validator shows the messages instead of the browser's popups
+    form.innerHTML = `<label for='demoInput'>Name: </label><input type='text' id='demoInput' placeholder='Type something'><button>Submit</button>`;
+    const validator = new FormValidator({
+        demoInput: [
+            rules.required("Please enter something!"),
+            rules.minLength(2),
+            rules.custom(isNameAvailable, "That name is reserved") // async, like asking a server
+        ]
+    }, { root: form });
+    form.onsubmit = async function (e) {
         e.preventDefault();
+        if (!(await validator.validateAll())) return;
         const val = form.querySelector('#demoInput').value;
-        print(val ? `Submitted: ${val}` : 'Please enter something!');
+        print(`Submitted: ${val}`);
         form.remove();
     };
     document.body.appendChild(form);
 }
+function isNameAvailable(name) {
+    return new Promise(resolve => {
+        setTimeout(() => resolve(!["admin", "root"].includes(name.trim().toLowerCase())), 300);
+    });
+}
 
 /* Optional Chaining & Nullish Coalescing */
 function optionalChainingDemo() {
@@ -1319,6 +1472,15 @@ function optionalChainingDemo() {
     print(`Email: ${email}, Phone: ${phone}`);
 }
 
+/* Spread & Rest */
+function spreadRestDemo() {
+    const nums = [3, 1, 4];
+    const more = [...nums, 1, 5]; // spread: expands the array into separate elements
+    const biggest = Math.max(...more);
+    const sumAll = (...values) => values.reduce((a, b) => a + b, 0); // rest: bundles the arguments into an array
+    print(`Spread: [${more}]\nMath.max(...more): ${biggest}\nsumAll(1, 2, 3): ${sumAll(1, 2, 3)}`);
+}
+
 /* Template Literals & Default Params */
 function templateLiteralDemo(name = "Guest") {
     print(`Welcome, ${name}! Today is ${new Date().toLocaleDateString()}`);
@@ -1345,22 +1507,41 @@ function shuffle(array){
         [array[i], array[random]] = [array[random], array[i]];
     }
 }
-*/
+
+Math.random() can't be seeded, so a shuffle can't be replayed.
+randomUtil.js has a seedable generator -> the same seed always gives the same order: */
+import { Random } from './randomUtil.js';
+const cards = ['A', 2, 3, 4, 5, 6, 7, 8, 9, 10, 'J', 'Q', 'K'];
+const rng = new Random(2025);
+rng.shuffle(cards);
+console.log(cards);
+console.log(`Dice roll: ${rng.int(1, 6)}, random card: ${rng.pick(cards)}, loot: ${rng.weighted(["common", "rare", "legendary"], [80, 18, 2])}`);
+const savedRng = JSON.stringify(rng); // {"seed":2025,"state":...} -> can go in localStorage
+console.log(Random.fromState(JSON.parse(savedRng)).nextFloat() === rng.nextFloat()); // true -> picks up exactly where it left off
 
 /* ES6 Modules:
     ES6 Modules, introduced in ECMAScript 2015, provide a standardized way to
     organize and reuse JavaScript code across different files, improving code
     maintainability and readability. */
 
-import { PI, getCircumference, getArea, getVolume } from './mathUtil.js';
+import { PI, getCircumference, getArea, sphere, cylinder, DimensionError, Measurement } from './mathUtil.js';
 console.log(PI);
-let radius = 5.6;
+let radius = new Measurement(5.6, "cm"); // the unit travels with the value -> results come out in cm, cm² and cm³
 const circumference = getCircumference(radius);
 const area = getArea(radius);
-const volume = getVolume(radius);
-console.log(`Circumference: ${circumference.toFixed(2)}cm`);
-console.log(`Area: ${area.toFixed(2)}cm²`);
-console.log(`Volume: ${volume.toFixed(2)}cm³`);
+const surfaceArea = sphere.surfaceArea(radius);
+const volume = sphere.volume(radius);
+console.log(`Circumference: ${circumference.format()}`);
+console.log(`Area: ${area.format()}`);
+console.log(`Surface area (sphere): ${surfaceArea.format()}`);
+console.log(`Volume (sphere): ${volume.format()} = ${volume.to("m").format(6)}`);
+try {
+    cylinder.volume(radius, new Measurement(-2, "cm")); // a negative height is rejected with a typed error (a plain -2 next to a measurement would be a UnitError instead)
+}
+catch (error) {
+    if (error instanceof DimensionError) console.error(`${error.name}: ${error.message}`);
+    else throw error;
+}
 
 /* 
 Synchronous and Asynchronous Nature of JavaScript:
@@ -1562,14 +1743,19 @@ mouseEventsBox.addEventListener("click", event => {
     event.target.style.backgroundColor = "red";
     event.target.textContent = "YEOWCH 🤕";
 });
+// mouseout is debounced: moving in and out quickly (or over the box's own text) no longer makes it flicker,
+// it only resets once the mouse has really stayed away for 150ms
+import { debounce, throttle } from './fpUtil.js';
+const resetMouseEventsBox = debounce(() => {
+    mouseEventsBox.style.backgroundColor = "yellowgreen";
+    mouseEventsBox.textContent = "Click Me 😄";
+}, 150);
 mouseEventsBox.addEventListener("mouseover", event => {
+    resetMouseEventsBox.cancel();
     event.target.style.backgroundColor = "orange";
     event.target.textContent = "NOOOO don't!! 😧";
 });
-mouseEventsBox.addEventListener("mouseout", event => {
-    event.target.style.backgroundColor = "yellowgreen";
-    event.target.textContent = "Click Me 😄";
-});
+mouseEventsBox.addEventListener("mouseout", resetMouseEventsBox);
 
 /* Key Events: 
 eventListener -> listens for specific events to create interactive web pages
@@ -1579,31 +1765,36 @@ const keyEventsBox = document.getElementById("keyEventsBox");
 const moveAmount = 10;
 let x = 0;
 let y = 0;
-document.addEventListener("keyup", event => {
+// keyup is debounced -> the face only relaxes once you've let go for a moment, not between every key repeat
+document.addEventListener("keyup", debounce(event => {
     keyEventsBox.textContent = "😄";
     keyEventsBox.style.backgroundColor = "aquamarine";
-});
+}, 200));
+// holding an arrow key fires keydown ~30 times a second (depends on the OS) -> throttled to a steady 20 moves a second
+const moveKeyEventsBox = throttle(key => {
+    switch (key) {
+        case "ArrowUp":
+            y -= moveAmount;
+            break;
+        case "ArrowDown":
+            y += moveAmount;
+            break;
+        case "ArrowLeft":
+            x -= moveAmount;
+            break;
+        case "ArrowRight":
+            x += moveAmount;
+            break;
+    }
+    keyEventsBox.style.top = `${y}px`;
+    keyEventsBox.style.left = `${x}px`;
+}, 50);
 document.addEventListener("keydown", event => {
     if (event.key.startsWith("Arrow")) {
-        event.preventDefault(); // prevents auto-scrolling
+        event.preventDefault(); // prevents auto-scrolling (on every keydown, so this part isn't throttled)
         keyEventsBox.textContent = "🫨";
         keyEventsBox.style.backgroundColor = "tomato";
-        switch (event.key) {
-            case "ArrowUp":
-                y -= moveAmount;
-                break;
-            case "ArrowDown":
-                y += moveAmount;
-                break;
-            case "ArrowLeft":
-                x -= moveAmount;
-                break;
-            case "ArrowRight":
-                x += moveAmount;
-                break;
-        }
-        keyEventsBox.style.top = `${y}px`;
-        keyEventsBox.style.left = `${x}px`;
+        moveKeyEventsBox(event.key);
     }
     else {
         keyEventsBox.textContent = "😯";
@@ -1847,6 +2038,28 @@ async function doChores() {
     }
 }
 doChores();
+/* doChores() does one chore at a time (1500 + 2500 + 500 ms) and stops at the first failure.
+    workflow.js runs the chores that don't depend on each other at the same time, with retries and timeouts
+    -> choresWorkflowDemo() below, and the "Chores Workflow" section of the page (choresWorkflow.js) */
+import { Workflow, WorkflowFailedError } from './workflow.js';
+async function choresWorkflowDemo() {
+    print("Doing the chores, the ones that don't depend on each other at the same time...");
+    const chores = new Workflow([
+        { id: "walkDog", run: walkDog, retries: 1 }, // walkDog() always fails (dogWalked = false), so it gets a second try
+        { id: "cleanKitchen", run: cleanKitchen },
+        { id: "takeOutTrash", run: takeOutTrash, dependsOn: ["cleanKitchen"] } // the trash from the kitchen
+    ]);
+    const started = Date.now();
+    try {
+        const results = await chores.run();
+        print(Object.values(results).join("\n"));
+    }
+    catch (error) {
+        if (!(error instanceof WorkflowFailedError)) throw error;
+        const done = [...chores.tasks.values()].filter(task => task.state === "done").map(task => task.result);
+        print([...done, error.message, `(${Date.now() - started} ms, one chore after the other would've taken 4500 ms)`].join("\n"));
+    }
+}
 
 /* JSON (JavaScript Object Notation):
     Used for exchanging data between a server and a web application.
@@ -1880,8 +2093,14 @@ const jsonGames = `[{"name": "Silksong", "price": 880, "hasReleased": true},
 const parsedData = JSON.parse(jsonGames);
 console.log(parsedData);
 /* fetch() -> returns a Promise */
-fetch("gamess.json")
-    .then(response => response.json()) /* response.json() also returns a Promise */
+// fetch("gamess.json")
+//     .then(response => response.json()) /* response.json() also returns a Promise */
+//     .then(values => values.forEach(value => console.log(value)))
+//     .catch(error => console.error(error));
+/* fetch() only rejects when there's no response at all -> a 404 still goes to .then(), and response.json() then throws
+    on the HTML error page. httpClient.getJSON() checks response.ok and throws an HttpError instead (see fetchData above). */
+httpClient.fixtures["gamess.json"] = parsedData; // the same games, for when the file can't be loaded
+httpClient.getJSON("gamess.json")
     .then(values => values.forEach(value => console.log(value)))
     .catch(error => console.error(error));
 
@@ -1893,11 +2112,18 @@ fetch("gamess.json")
 // let allCookies = document.cookie;
 // console.dir(allCookies);
 /* non-manual way */
+import { FormValidator, rules } from './validator.js';
 const firstText = document.querySelector("#firstText");
 const lastText = document.querySelector("#lastText");
 const submitBtn = document.querySelector("#submitBtn");
 const cookieBtn = document.querySelector("#cookieBtn");
-submitBtn.addEventListener("click", () => {
+const noCookieSeparators = rules.pattern(/^[^;=,]*$/, "Can't contain ; = or , (they would break the cookie)");
+const cookieValidator = new FormValidator({
+    firstText: [rules.required(), rules.maxLength(50), noCookieSeparators],
+    lastText: [rules.required(), rules.maxLength(50), noCookieSeparators]
+});
+submitBtn.addEventListener("click", async () => {
+    if (!(await cookieValidator.validateAll())) return;
     setCookie("firstName", firstText.value, 365);
     setCookie("lastName", lastText.value, 365);
 });
@@ -1924,4 +2150,203 @@ function getCookie(name) {
         }
     })
     return result;
-}
\ No newline at end of file
+}
+
+/* Demo Registry:
+    Every demo registers itself here with a title, topic and tags,
+    and the catalog on the page is built from this list (no more onclick="..." buttons in the HTML).
+    Deep link to one demo with index.html#demo/<id>, e.g. index.html#demo/regex */
+import { registerDemo } from './demoRegistry.js';
+/* fakeFetch() goes through the imported network simulator, which doesn't exist in the playground's sandbox
+    -> these demos get a stand-alone version with the original setTimeout fakeFetch (and a random delay instead of the simulator) */
+const STANDALONE_FAKE_FETCH = `function fakeFetch(success = true, label = "fakeFetch") {
+    return new Promise((resolve, reject) => {
+        setTimeout(() => {
+            if (success) resolve("Data loaded!");
+            else reject(new Error(\`\${label} failed\`));
+        }, 500 + Math.random() * 1000);
+    });
+}`;
+const ASYNC_TASK_SNIPPET = `${STANDALONE_FAKE_FETCH}
+
+async function runAsyncTask() {
+    console.log("Running async task...");
+    const names = ["first", "second", "third"];
+    const arrived = [];
+    const results = await Promise.allSettled(names.map(name => fakeFetch(true, name).finally(() => arrived.push(name))));
+    console.log(\`Sent: \${names.join(", ")}\`);
+    console.log(\`Came back: \${arrived.join(", ")}\`);
+    results.forEach((result, i) => console.log(result.status === "fulfilled"
+        ? \`\${names[i]}: \${result.value}\`
+        : \`\${names[i]}: failed (\${result.reason.message})\`));
+}
+
+runAsyncTask();`;
+const ASYNC_ERROR_SNIPPET = `${STANDALONE_FAKE_FETCH}
+
+async function errorHandlingAsyncDemo() {
+    console.log("Error handling in async/await:");
+    try {
+        await fakeFetch(false);
+    } catch (e) {
+        console.log(\`Caught error: \${e}\`);
+    }
+}
+
+errorHandlingAsyncDemo();`;
+// Workflow is imported too -> the playground gets the same idea with plain promises: what doesn't depend on anything starts right away
+const CHORES_SNIPPET = `${walkDog}
+
+${cleanKitchen}
+
+${takeOutTrash}
+
+async function choresWorkflowDemo() {
+    console.log("Doing the chores, the ones that don't depend on each other at the same time...");
+    const started = Date.now();
+    const results = await Promise.allSettled([
+        walkDog(),
+        cleanKitchen().then(kitchen => takeOutTrash().then(trash => \`\${kitchen}, then \${trash}\`)) // the trash from the kitchen
+    ]);
+    results.forEach(result => console.log(result.status === "fulfilled" ? result.value : \`Failed: \${result.reason}\`));
+    console.log(\`\${Date.now() - started} ms, one chore after the other would've taken 4500 ms\`);
+}
+
+choresWorkflowDemo();`;
+// httpClient and its error classes are imported too -> plain fetch() with the same checks (timeout, HTTP status, JSON), no retries or cache
+const FETCH_JSON_SNIPPET = `class HttpError extends Error {
+    constructor(status) {
+        super(\`The server answered \${status}\`);
+        this.name = "HttpError";
+        this.status = status;
+    }
+}
+
+async function fetchData() {
+    console.log("Fetching JSON...");
+    try {
+        const response = await fetch("https://jsonplaceholder.typicode.com/posts/1", { signal: AbortSignal.timeout(5000) });
+        if (!response.ok) throw new HttpError(response.status); // fetch() only rejects on network errors, not on a 404
+        console.log(await response.json());
+    } catch (err) {
+        if (err instanceof HttpError) console.log(\`Fetch error: the server answered \${err.status}\`);
+        else if (err.name === "TimeoutError") console.log("Fetch error: the server took too long");
+        else if (err instanceof SyntaxError) console.log("Fetch error: the server didn't send JSON");
+        else console.log("Fetch error: " + err.message);
+    }
+}
+
+fetchData();`;
+// pipe, curry and _ come from fpUtil.js -> short versions of them (no checks) in front of map/filter/reduce and fpDemo()
+const FP_SNIPPET = `const _ = Symbol("placeholder");
+// pipe(f, g, h)(x) = h(g(f(x))) -> left to right
+function pipe(...fns) {
+    return (...args) => fns.slice(1).reduce((value, fn) => fn(value), fns[0](...args));
+}
+// calls fn once it has all its arguments, _ keeps a spot free for later
+function curry(fn, arity = fn.length) {
+    return function curried(...args) {
+        const real = args.slice(0, arity);
+        if (real.length >= arity && !real.includes(_)) return fn(...args);
+        return (...next) => {
+            const queue = [...next];
+            return curried(...args.map(arg => arg === _ && queue.length ? queue.shift() : arg), ...queue);
+        };
+    };
+}
+
+const map = ${map};
+const filter = ${filter};
+const reduce = ${reduce};
+
+${fpDemo}
+
+fpDemo();`;
+// the mock API only patches this page's fetch() -> the snippet brings its own (MOCK_API_SNIPPET)
+const MOCK_API_DEMO_SNIPPET = `${MOCK_API_SNIPPET}
+
+${mockApiDemo}
+
+mockApiDemo();`;
+// FormValidator can't be imported in the sandbox, and nobody can type into it -> the same rules by hand, and the form is submitted from code
+const FORM_SUBMISSION_SNIPPET = `${isNameAvailable}
+
+async function validateName(value) {
+    if (value.trim() === "") return "Please enter something!";
+    if (value.length < 2) return "Must be at least 2 characters";
+    if (!(await isNameAvailable(value))) return "That name is reserved"; // async, like asking a server
+    return "";
+}
+
+function formSubmissionDemo() {
+    console.log("Form submission: Prevent default and validate input.");
+    const form = document.createElement('form');
+    form.innerHTML = \`<input type='text' id='demoInput'><button>Submit</button>\`;
+    form.onsubmit = async function (e) {
+        e.preventDefault(); // no page reload
+        const val = form.querySelector('#demoInput').value;
+        const message = await validateName(val);
+        console.log(message ? \`"\${val}" -> \${message}\` : \`Submitted: \${val}\`);
+    };
+    document.body.appendChild(form);
+    // try a few names, like clicking Submit after typing each one
+    ["", "a", "admin", "Anya"].forEach(name => {
+        form.querySelector('#demoInput').value = name;
+        form.requestSubmit();
+    });
+}
+
+formSubmissionDemo();`;
+import { mountCatalog } from './demoCatalog.js';
+registerDemo({ id: "callback-multiplication", title: "Callback Multiplication", topic: "Functions", tags: ["callback"], run: () => multiply(pagePrint, 4, 5), source: [multiply, pagePrint] });
+registerDemo({ id: "callback", title: "Callback", topic: "Functions", tags: ["callback"], run: callbackDemo });
+registerDemo({ id: "closure-counter", title: "Closure Counter", topic: "Functions", tags: ["closure", "state"], run: closureTest, source: [createCounter, "let closureCounter = createCounter();", closureTest] });
+registerDemo({ id: "this-context", title: "'this' Context", topic: "Functions", tags: ["this", "arrow"], run: thisDemo });
+registerDemo({ id: "arrow-nuances", title: "Arrow Function Nuances", topic: "Functions", tags: ["arrow", "this", "prototype"], run: arrowNuanceDemo });
+registerDemo({ id: "functional-programming", title: "Functional Programming", topic: "Functions", tags: ["map", "filter", "reduce"], run: fpDemo, snippet: FP_SNIPPET });
+registerDemo({ id: "async-task", title: "Run Async Task", topic: "Async", tags: ["promise", "async", "await"], run: runAsyncTask, snippet: ASYNC_TASK_SNIPPET });
+registerDemo({ id: "fetch-json", title: "Fetch JSON", topic: "Async", tags: ["fetch", "json", "network"], run: fetchData, snippet: FETCH_JSON_SNIPPET });
+registerDemo({ id: "mock-api", title: "REST with the Mock API", topic: "Async", tags: ["fetch", "rest", "crud", "offline"], run: mockApiDemo, snippet: MOCK_API_DEMO_SNIPPET });
+registerDemo({ id: "async-error-handling", title: "Error Handling Async", topic: "Async", tags: ["try", "catch", "await"], run: errorHandlingAsyncDemo, snippet: ASYNC_ERROR_SNIPPET });
+registerDemo({ id: "chores-workflow", title: "Chores Workflow", topic: "Async", tags: ["promise", "parallel", "retry"], run: choresWorkflowDemo, snippet: CHORES_SNIPPET });
+registerDemo({ id: "dynamic-import", title: "Dynamic Import", topic: "Async", tags: ["import", "module"], run: dynamicImportDemo });
+registerDemo({ id: "array-ops", title: "Array Ops (map/filter/reduce)", topic: "Arrays", tags: ["map", "filter", "reduce"], run: arrayOperations });
+registerDemo({ id: "spread-rest", title: "Spread & Rest", topic: "Arrays", tags: ["spread", "rest", "..."], run: spreadRestDemo });
+registerDemo({ id: "destructuring", title: "Destructuring", topic: "Objects & Classes", tags: ["destructuring", "array", "object"], run: destructuringDemo });
+registerDemo({ id: "classes", title: "Classes", topic: "Objects & Classes", tags: ["class", "extends", "inheritance"], run: classDemo, source: [Animal, Dog, classDemo] });
+registerDemo({ id: "optional-chaining", title: "Optional Chaining", topic: "Objects & Classes", tags: ["?.", "??", "nullish"], run: optionalChainingDemo });
+registerDemo({ id: "object-keys", title: "Object Keys", topic: "Objects & Classes", tags: ["keys", "values", "entries"], run: objectKeysDemo });
+registerDemo({ id: "json", title: "JSON", topic: "Objects & Classes", tags: ["stringify", "parse"], run: jsonDemo });
+registerDemo({ id: "map-set", title: "Map/Set", topic: "Objects & Classes", tags: ["map", "set", "collections"], run: mapSetDemo });
+registerDemo({ id: "template-literals", title: "Template Literals", topic: "Strings", tags: ["template", "default parameters"], run: templateLiteralDemo });
+registerDemo({ id: "regex", title: "Regex", topic: "Strings", tags: ["regex", "match"], run: regexDemo });
+registerDemo({ id: "custom-event", title: "Custom Event", topic: "DOM & Events", tags: ["CustomEvent", "dispatchEvent"], run: customEventDemo });
+registerDemo({ id: "add-event-listener", title: "addEventListener", topic: "DOM & Events", tags: ["click", "listener"], run: addEventListenerDemo });
+registerDemo({ id: "form-submission", title: "Form Submission", topic: "DOM & Events", tags: ["form", "validation", "preventDefault"], run: formSubmissionDemo, snippet: FORM_SUBMISSION_SNIPPET });
+registerDemo({ id: "start-timer", title: "START Timer", topic: "Timers", tags: ["setTimeout"], run: startTimer, source: ["let timeoutId1;", "const notify = message => console.log(message); // the in-page dialog from dialog.js", showAlert, startTimer] });
+registerDemo({ id: "clear-timer", title: "CLEAR Timer", topic: "Timers", tags: ["clearTimeout"], run: clearTimer, source: ["let timeoutId1 = setTimeout(() => console.log(\"Hello\"), 3000); // what START Timer does", clearTimer] });
+registerDemo({ id: "local-storage", title: "Test LocalStorage", topic: "Browser APIs", tags: ["localStorage", "storage"], run: testStorage });
+registerDemo({ id: "modules", title: "Module Usage", topic: "Tooling", tags: ["import", "export"], run: moduleDemo });
+registerDemo({ id: "debugging", title: "Debugging", topic: "Tooling", tags: ["console", "devtools"], run: debugDemo });
+
+/* Playground snippets: some examples above only log to the console, so they're registered as plain code
+    that runs in the sandbox (edit it, e.g. swap which sort is used, and Reset to get the original back) */
+registerDemo({ id: "sort-objects", title: "Sorting Objects", topic: "Arrays", tags: ["sort", "localeCompare", "playground"], snippet: `const students = [{ name: "Anya", age: 5, gpa: 3.0 },
+{ name: "Bond", age: 2, gpa: 1.5 },
+{ name: "Damian", age: 6, gpa: 3.5 },
+{ name: "Becky", age: 7, gpa: 4.0 }];
+students.sort((a, b) => a.age - b.age); // by age - ascending
+// students.sort((a, b) => b.age - a.age); // by age - descending
+// students.sort((a, b) => a.gpa - b.gpa); // by gpa - ascending
+// students.sort((a, b) => b.gpa - a.gpa); // by gpa - descending
+// students.sort((a, b) => a.name.localeCompare(b.name)); // by name - ascending
+// students.sort((a, b) => b.name.localeCompare(a.name)); // by name - descending
+console.log(students);` });
+registerDemo({ id: "to-locale-string", title: ".toLocaleString()", topic: "Strings", tags: ["locale", "currency", "playground"], snippet: `let number = 123456.789;
+console.log(number.toLocaleString("hi-IN"));
+console.log(number.toLocaleString("en-GB"));
+console.log(number.toLocaleString("de-DE"));
+console.log(number.toLocaleString("hi-IN", { style: "currency", currency: "INR" }));
+console.log(number.toLocaleString("en-GB", { style: "currency", currency: "GBP" }));
+console.log(number.toLocaleString("de-DE", { style: "currency", currency: "EUR" }));` });
+mountCatalog(document.getElementById("demoCatalog"), { output: document.getElementById("output") });
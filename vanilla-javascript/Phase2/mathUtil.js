@@ -1,10 +1,144 @@
+import { Measurement, UnitError } from './measurement.js';
+export { Measurement, UnitError, UNITS } from './measurement.js';
+
 export const PI = 3.14159265359;
+
+/* Dimension errors:
+    DimensionError is the parent class, so one catch can handle every bad dimension.
+    MissingDimensionError -> the dimension wasn't passed at all (undefined or null)
+    InvalidDimensionError -> it was passed, but it's NaN, infinite, negative or not a number */
+export class DimensionError extends Error {
+    constructor(dimension, value, message){
+        super(message);
+        this.name = "DimensionError";
+        this.dimension = dimension;
+        this.value = value;
+    }
+}
+export class MissingDimensionError extends DimensionError {
+    constructor(dimension){
+        super(dimension, undefined, `${dimension} is required`);
+        this.name = "MissingDimensionError";
+    }
+}
+export class InvalidDimensionError extends DimensionError {
+    constructor(dimension, value, reason){
+        super(dimension, value, `${dimension} ${reason} (got ${value})`);
+        this.name = "InvalidDimensionError";
+    }
+}
+
+function checkDimension(dimension, value){
+    if(typeof value !== "number" || Number.isNaN(value)){
+        throw new InvalidDimensionError(dimension, value, "must be a number");
+    }
+    if(!Number.isFinite(value)){
+        throw new InvalidDimensionError(dimension, value, "must be finite");
+    }
+    if(value < 0){
+        throw new InvalidDimensionError(dimension, value, "must not be negative");
+    }
+    return value;
+}
+
+/* Every function accepts plain numbers OR Measurement values (never a mix of both).
+    Plain numbers in -> plain number out.
+    Measurements in -> everything is converted to the first dimension's unit,
+    and the result comes out as a Measurement in that unit, squared for areas and cubed for volumes. */
+function calculate(power, dimensions, formula){
+    const entries = Object.entries(dimensions);
+    entries.forEach(([dimension, value]) => {
+        if(value === undefined || value === null){
+            throw new MissingDimensionError(dimension);
+        }
+    });
+    const measured = entries.filter(([, value]) => value instanceof Measurement);
+    if(measured.length === 0){
+        return formula(...entries.map(([dimension, value]) => checkDimension(dimension, value)));
+    }
+    if(measured.length !== entries.length){
+        throw new UnitError("Can't mix plain numbers with measurements, give every dimension a unit");
+    }
+    const unit = measured[0][1].unit;
+    const values = entries.map(([dimension, value]) => {
+        if(value.power !== 1){
+            throw new UnitError(`${dimension} must be a length (got ${value.symbol})`);
+        }
+        return checkDimension(dimension, value.to(unit).value);
+    });
+    return new Measurement(formula(...values), unit, power);
+}
+
+/* Circle (2D) */
 export function getCircumference(radius){
-    return 2 * PI * radius;
+    return calculate(1, { radius }, r => 2 * PI * r);
 }
 export function getArea(radius){
-    return PI * radius * radius;
+    return calculate(2, { radius }, r => PI * r * r);
 }
+// kept so the Phase2 import still works -> it's the volume of a sphere (it used to return the surface area by mistake)
 export function getVolume(radius){
-    return 4 * PI * radius * radius;
-}
\ No newline at end of file
+    return sphere.volume(radius);
+}
+
+/* 3D solids: every solid has its own surfaceArea() and volume() */
+export const sphere = {
+    surfaceArea(radius){
+        return calculate(2, { radius }, r => 4 * PI * r ** 2);
+    },
+    volume(radius){
+        return calculate(3, { radius }, r => (4 / 3) * PI * r ** 3);
+    }
+};
+export const cylinder = {
+    surfaceArea(radius, height){
+        return calculate(2, { radius, height }, (r, h) => 2 * PI * r * (r + h));
+    },
+    volume(radius, height){
+        return calculate(3, { radius, height }, (r, h) => PI * r ** 2 * h);
+    }
+};
+export const cone = {
+    surfaceArea(radius, height){
+        return calculate(2, { radius, height }, (r, h) => PI * r * (r + Math.sqrt(r ** 2 + h ** 2))); // r + slant height
+    },
+    volume(radius, height){
+        return calculate(3, { radius, height }, (r, h) => (PI * r ** 2 * h) / 3);
+    }
+};
+export const cube = {
+    surfaceArea(side){
+        return calculate(2, { side }, s => 6 * s ** 2);
+    },
+    volume(side){
+        return calculate(3, { side }, s => s ** 3);
+    }
+};
+export const cuboid = {
+    surfaceArea(length, width, height){
+        return calculate(2, { length, width, height }, (l, w, h) => 2 * (l * w + l * h + w * h));
+    },
+    volume(length, width, height){
+        return calculate(3, { length, width, height }, (l, w, h) => l * w * h);
+    }
+};
+// majorRadius = centre of the torus to the centre of the tube, minorRadius = radius of the tube
+export const torus = {
+    surfaceArea(majorRadius, minorRadius){
+        return calculate(2, { majorRadius, minorRadius }, (R, r) => {
+            checkTorus(R, r);
+            return 4 * PI ** 2 * R * r;
+        });
+    },
+    volume(majorRadius, minorRadius){
+        return calculate(3, { majorRadius, minorRadius }, (R, r) => {
+            checkTorus(R, r);
+            return 2 * PI ** 2 * R * r ** 2;
+        });
+    }
+};
+function checkTorus(majorRadius, minorRadius){
+    if(minorRadius > majorRadius){ // the tube would overlap itself and the formulas stop being true
+        throw new InvalidDimensionError("minorRadius", minorRadius, `must not be larger than majorRadius ${majorRadius}`);
+    }
+}
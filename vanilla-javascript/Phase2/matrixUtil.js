@@ -0,0 +1,185 @@
+/* Matrices as 2D arrays (arrays of rows), the same shape as Phase1's matrix:
+    [[1, 2, 3],
+     [4, 5, 6],
+     [7, 8, 9]]
+    Every function returns a NEW matrix, the ones passed in are never mutated. */
+
+const EPSILON = 1e-10; // anything smaller than this counts as 0 (floating point leftovers like 1e-17)
+
+export class MatrixError extends Error {
+    constructor(message){
+        super(message);
+        this.name = "MatrixError";
+    }
+}
+export class DimensionMismatchError extends MatrixError {
+    constructor(operation, a, b){
+        super(`Can't ${operation} a ${describe(a)} matrix and a ${describe(b)} matrix`);
+        this.name = "DimensionMismatchError";
+    }
+}
+export class SingularMatrixError extends MatrixError {
+    constructor(){
+        super("The matrix is singular (its determinant is 0), so it has no inverse");
+        this.name = "SingularMatrixError";
+    }
+}
+
+function describe(m){
+    return `${rowCount(m)}×${columnCount(m)}`;
+}
+export function rowCount(m){
+    return m.length;
+}
+export function columnCount(m){
+    return m.length === 0 ? 0 : m[0].length;
+}
+export function isSquare(m){
+    return rowCount(m) === columnCount(m);
+}
+
+/* Construction */
+export function matrix(rows){
+    if(!Array.isArray(rows) || rows.length === 0 || !rows.every(Array.isArray)){
+        throw new MatrixError("A matrix must be a non-empty array of rows");
+    }
+    const columns = rows[0].length;
+    if(columns === 0 || rows.some(row => row.length !== columns)){
+        throw new MatrixError("Every row of a matrix must have the same (non-zero) number of columns");
+    }
+    if(rows.some(row => row.some(value => typeof value !== "number" || !Number.isFinite(value)))){
+        throw new MatrixError("Every element of a matrix must be a finite number");
+    }
+    return rows.map(row => [...row]);
+}
+export function zeros(rows, columns = rows){
+    return Array.from({ length: rows }, () => new Array(columns).fill(0));
+}
+export function identity(size){
+    return Array.from({ length: size }, (_, r) =>
+        Array.from({ length: size }, (_, c) => (r === c ? 1 : 0)));
+}
+
+/* Operations */
+export function transpose(m){
+    return m[0].map((_, c) => m.map(row => row[c]));
+}
+export function add(a, b){
+    if(rowCount(a) !== rowCount(b) || columnCount(a) !== columnCount(b)){
+        throw new DimensionMismatchError("add", a, b);
+    }
+    return a.map((row, r) => row.map((value, c) => value + b[r][c]));
+}
+export function subtract(a, b){
+    if(rowCount(a) !== rowCount(b) || columnCount(a) !== columnCount(b)){
+        throw new DimensionMismatchError("subtract", a, b);
+    }
+    return a.map((row, r) => row.map((value, c) => value - b[r][c]));
+}
+// b can be another matrix OR a plain number (scalar multiplication)
+export function multiply(a, b){
+    if(typeof b === "number"){
+        return a.map(row => row.map(value => value * b));
+    }
+    if(columnCount(a) !== rowCount(b)){
+        throw new DimensionMismatchError("multiply", a, b);
+    }
+    return a.map(row =>
+        b[0].map((_, c) => row.reduce((sum, value, k) => sum + value * b[k][c], 0)));
+}
+
+/* Row reduction (Gaussian elimination with partial pivoting):
+    picks the row with the biggest value in each column as the pivot, which keeps rounding errors small.
+    Returns the reduced row echelon form, the pivot columns, and how many row swaps were made. */
+function eliminate(m){
+    const rows = m.map(row => [...row]);
+    const pivotColumns = [];
+    let swaps = 0;
+    let pivotRow = 0;
+    for(let c = 0; c < columnCount(rows) && pivotRow < rowCount(rows); c++){
+        let best = pivotRow;
+        for(let r = pivotRow + 1; r < rowCount(rows); r++){
+            if(Math.abs(rows[r][c]) > Math.abs(rows[best][c])) best = r;
+        }
+        if(Math.abs(rows[best][c]) < EPSILON) continue; // nothing to pivot on in this column
+        if(best !== pivotRow){
+            [rows[pivotRow], rows[best]] = [rows[best], rows[pivotRow]];
+            swaps++;
+        }
+        const pivot = rows[pivotRow][c];
+        rows[pivotRow] = rows[pivotRow].map(value => value / pivot);
+        for(let r = 0; r < rowCount(rows); r++){
+            if(r === pivotRow) continue;
+            const factor = rows[r][c];
+            rows[r] = rows[r].map((value, k) => value - factor * rows[pivotRow][k]);
+        }
+        pivotColumns.push(c);
+        pivotRow++;
+    }
+    return { rows: rows.map(row => row.map(value => (Math.abs(value) < EPSILON ? 0 : value))), pivotColumns, swaps };
+}
+export function rowReduce(m){
+    return eliminate(m).rows;
+}
+export function rank(m){
+    return eliminate(m).pivotColumns.length;
+}
+export function determinant(m){
+    if(!isSquare(m)){
+        throw new MatrixError(`Only square matrices have a determinant (got ${describe(m)})`);
+    }
+    const rows = m.map(row => [...row]);
+    const size = rowCount(rows);
+    let det = 1;
+    for(let c = 0; c < size; c++){
+        let best = c;
+        for(let r = c + 1; r < size; r++){
+            if(Math.abs(rows[r][c]) > Math.abs(rows[best][c])) best = r;
+        }
+        if(Math.abs(rows[best][c]) < EPSILON) return 0;
+        if(best !== c){
+            [rows[c], rows[best]] = [rows[best], rows[c]];
+            det = -det; // every row swap flips the sign
+        }
+        det *= rows[c][c];
+        for(let r = c + 1; r < size; r++){
+            const factor = rows[r][c] / rows[c][c];
+            for(let k = c; k < size; k++){
+                rows[r][k] -= factor * rows[c][k];
+            }
+        }
+    }
+    return det;
+}
+// Gauss-Jordan: row reduce [m | I] -> [I | m⁻¹]
+export function inverse(m){
+    if(!isSquare(m)){
+        throw new MatrixError(`Only square matrices can be inverted (got ${describe(m)})`);
+    }
+    const size = rowCount(m);
+    const augmented = m.map((row, r) => [...row, ...identity(size)[r]]);
+    const { rows, pivotColumns } = eliminate(augmented);
+    if(pivotColumns.length < size || pivotColumns[size - 1] >= size){
+        throw new SingularMatrixError();
+    }
+    return rows.map(row => row.slice(size));
+}
+
+/* Output */
+export function toString(m){
+    return m.map(row => row.join(" ")).join("\n");
+}
+export function toTable(m, digits = 2){
+    const table = document.createElement("table");
+    table.className = "matrix";
+    m.forEach(row => {
+        const tr = document.createElement("tr");
+        row.forEach(value => {
+            const td = document.createElement("td");
+            td.textContent = Number.isInteger(value) ? value : value.toFixed(digits);
+            tr.append(td);
+        });
+        table.append(tr);
+    });
+    return table;
+}
@@ -0,0 +1,54 @@
+/* Measurement: a value paired with its unit, so lengths, areas and volumes carry their units around.
+    power = 1 -> length (cm), power = 2 -> area (cm²), power = 3 -> volume (cm³)
+    Converting an area or a volume scales by the length factor squared or cubed. */
+
+const METRES_PER_UNIT = {
+    mm: 0.001,
+    cm: 0.01,
+    m: 1,
+    in: 0.0254,
+    ft: 0.3048
+};
+export const UNITS = Object.keys(METRES_PER_UNIT);
+const SUPERSCRIPTS = { 1: "", 2: "²", 3: "³" };
+
+export class UnitError extends Error {
+    constructor(message){
+        super(message);
+        this.name = "UnitError";
+    }
+}
+
+export class Measurement {
+    constructor(value, unit, power = 1){
+        if(typeof value !== "number" || !Number.isFinite(value)){
+            throw new TypeError(`A measurement needs a finite number (got ${value})`);
+        }
+        if(!UNITS.includes(unit)){
+            throw new UnitError(`Unknown unit "${unit}", expected one of: ${UNITS.join(", ")}`);
+        }
+        if(!(power in SUPERSCRIPTS)){
+            throw new UnitError(`Only lengths, areas and volumes are supported (got power ${power})`);
+        }
+        this.value = value;
+        this.unit = unit;
+        this.power = power;
+        Object.freeze(this);
+    }
+    to(unit){
+        if(!UNITS.includes(unit)){
+            throw new UnitError(`Unknown unit "${unit}", expected one of: ${UNITS.join(", ")}`);
+        }
+        const factor = (METRES_PER_UNIT[this.unit] / METRES_PER_UNIT[unit]) ** this.power;
+        return new Measurement(this.value * factor, unit, this.power);
+    }
+    get symbol(){
+        return this.unit + SUPERSCRIPTS[this.power];
+    }
+    format(digits = 2){
+        return `${this.value.toFixed(digits)} ${this.symbol}`;
+    }
+    toString(){
+        return this.format();
+    }
+}
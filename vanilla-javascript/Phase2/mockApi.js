@@ -0,0 +1,247 @@
+/* Mock REST API that runs inside the page: once installed, fetch() calls to /api/... and to
+    jsonplaceholder.typicode.com are answered from in-memory data instead of the network,
+    so the fetch demos work offline (and Phase1's fetchUserData() finally has a server to talk to).
+
+    const api = installMockApi({ latency: [100, 500], errorRate: 0.1 });
+    await fetch("/api/users/1");                                   -> 200 { id: 1, name: "Alice", ... }
+    await fetch("/api/posts", { method: "POST", body: JSON.stringify({ title: "Hi" }) }); -> 201 with a new id
+    api.failNext(2, 503);                                          -> the next 2 requests get a 503
+
+    Routes (the same under https://jsonplaceholder.typicode.com/users, /posts...):
+        GET    /api/<collection>            list, ?key=value filters (e.g. /api/posts?userId=1)
+        GET    /api/<collection>/:id
+        POST   /api/<collection>            201 + the created item
+        PUT    /api/<collection>/:id        replaces the item
+        PATCH  /api/<collection>/:id        changes only the given fields
+        DELETE /api/<collection>/:id
+    GETs send an ETag, and an If-None-Match with the same ETag gets an empty 304 ("you already have this").
+    collections: users, posts, games. Everything else goes to the real fetch().
+    The data lives in memory -> a reload resets it (api.reset() does too). */
+import { Random } from './randomUtil.js';
+
+const API_PREFIX = "/api/";
+const JSONPLACEHOLDER = "https://jsonplaceholder.typicode.com/";
+const MAX_LOG = 200;
+
+const SEED_DATA = {
+    users: [
+        { id: 1, name: "Alice", username: "alice", email: "alice@example.com", age: 25 },
+        { id: 2, name: "Bob", username: "bob", email: "bob@example.com", age: 30 },
+        { id: 3, name: "Charlie", username: "charlie", email: "charlie@example.com", age: 35 }
+    ],
+    posts: [
+        { id: 1, userId: 1, title: "sunt aut facere repellat provident occaecati excepturi optio reprehenderit", body: "quia et suscipit\nsuscipit recusandae consequuntur expedita et cum\nreprehenderit molestiae ut ut quas totam\nnostrum rerum est autem sunt rem eveniet architecto" },
+        { id: 2, userId: 1, title: "qui est esse", body: "est rerum tempore vitae\nsequi sint nihil reprehenderit dolor beatae ea dolores neque" },
+        { id: 3, userId: 2, title: "Silksong is out", body: "Diagonal pogo, GARAMA and grappling." },
+        { id: 4, userId: 3, title: "Waiting for GTA 6", body: "Still no price." }
+    ],
+    games: [
+        { id: 1, name: "Silksong", price: 880, hasReleased: true },
+        { id: 2, name: "Expedition 33", price: 3000, hasReleased: true },
+        { id: 3, name: "Borderlands 4", price: 4000, hasReleased: true },
+        { id: 4, name: "GTA 6", price: null, hasReleased: false }
+    ]
+};
+
+/* installMockApi() patches this page's fetch(), the playground's sandbox (playground.js) has its own and can't import modules
+    -> the demos that use the mock put this in front of their code: the same data and routes under /api/, no latency settings or ETags */
+export const MOCK_API_SNIPPET = `// a small stand-in for the page's mock API (mockApi.js): fetch() calls to /api/... are answered from this data
+const db = ${JSON.stringify(SEED_DATA)};
+const realFetch = fetch;
+fetch = async (url, { method = "GET", body } = {}) => {
+    const match = String(url).match(/^\\/api\\/(\\w+)(?:\\/(\\d+))?(?:\\?(.*))?$/);
+    if (!match || !Object.hasOwn(db, match[1])) return realFetch(url, { method, body });
+    await new Promise(resolve => setTimeout(resolve, 100 + Math.random() * 300)); // a bit of latency, like a real server
+    const [, collection, id, query = ""] = match;
+    const items = db[collection];
+    const json = (status, data) => new Response(JSON.stringify(data), { status, headers: { "Content-Type": "application/json" } });
+    if (id === undefined) {
+        if (method === "POST") {
+            const item = { ...JSON.parse(body), id: Math.max(0, ...items.map(item => item.id)) + 1 };
+            items.push(item);
+            return json(201, item);
+        }
+        return json(200, items.filter(item => [...new URLSearchParams(query)].every(([key, value]) => String(item[key]) === value)));
+    }
+    const index = items.findIndex(item => String(item.id) === id);
+    if (index === -1) return json(404, { error: \`No \${collection.slice(0, -1)} with id \${id}\` });
+    if (method === "PUT" || method === "PATCH") {
+        items[index] = { ...(method === "PATCH" ? items[index] : {}), ...JSON.parse(body), id: items[index].id };
+    }
+    else if (method === "DELETE") {
+        items.splice(index, 1);
+        return json(200, {});
+    }
+    return json(200, items[index]);
+};`;
+
+function jsonResponse(status, body){
+    return new Response(body === undefined ? null : JSON.stringify(body), {
+        status,
+        headers: { "Content-Type": "application/json" }
+    });
+}
+// a cheap hash of the body (FNV-1a), enough to tell "same JSON" from "changed"
+function etagOf(text){
+    let hash = 0x811c9dc5;
+    for(let i = 0; i < text.length; i++) hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    return `"${(hash >>> 0).toString(16)}"`;
+}
+function abortError(){
+    return new DOMException("The operation was aborted.", "AbortError");
+}
+
+/* Fires a "request" event (event.detail = { method, url, status, ms }) after every request it answers */
+export class MockApi extends EventTarget {
+    constructor({ enabled = true, latency = [150, 600], errorRate = 0, networkErrorRate = 0, seed = Date.now() } = {}){
+        super();
+        this.random = new Random(seed);
+        this.configure({ enabled, latency, errorRate, networkErrorRate });
+        this.log = []; // { method, url, status, ms } of the last MAX_LOG requests, newest last
+        this._forcedFailures = [];
+        this.reset();
+    }
+    /* enabled: false -> every request goes to the real network again
+        latency: ms, or [min, max] for a random delay in between
+        errorRate: 0-1, chance of a 500 response; networkErrorRate: 0-1, chance fetch() rejects like when offline */
+    configure({ enabled = this.enabled, latency = this.latency, errorRate = this.errorRate, networkErrorRate = this.networkErrorRate } = {}){
+        const [min, max] = Array.isArray(latency) ? latency : [latency, latency];
+        if(!(min >= 0 && max >= min)) throw new RangeError(`latency must be a number or [min, max] with 0 <= min <= max (got ${latency})`);
+        [errorRate, networkErrorRate].forEach(rate => {
+            if(!(rate >= 0 && rate <= 1)) throw new RangeError(`Error rates are between 0 and 1 (got ${rate})`);
+        });
+        Object.assign(this, { enabled, latency: [min, max], errorRate, networkErrorRate });
+    }
+    // back to the starting data (deep copy, so the seed data itself is never changed)
+    reset(){
+        this.data = structuredClone(SEED_DATA);
+    }
+    // the next `count` requests fail with `status` (0 = network error), whatever the error rates are
+    failNext(count = 1, status = 500){
+        for(let i = 0; i < count; i++) this._forcedFailures.push(status);
+    }
+
+    // "/api/users/2?x=1" or "https://jsonplaceholder.typicode.com/users/2" -> { collection, id, query }, null if not ours
+    route(url){
+        const parsed = new URL(url, location.href);
+        let path;
+        if(parsed.href.startsWith(JSONPLACEHOLDER)) path = parsed.pathname.slice(1);
+        else if(parsed.origin === location.origin && parsed.pathname.startsWith(API_PREFIX)) path = parsed.pathname.slice(API_PREFIX.length);
+        else return null;
+        const [collection, id, ...rest] = path.split("/").filter(Boolean);
+        return { collection, id, extra: rest.length > 0, query: parsed.searchParams };
+    }
+
+    async handle(url, { method = "GET", body, signal, headers } = {}){
+        method = method.toUpperCase();
+        const started = performance.now();
+        const [min, max] = this.latency;
+        await new Promise((resolve, reject) => {
+            if(signal?.aborted) return reject(abortError());
+            const timer = setTimeout(resolve, min + this.random.nextFloat() * (max - min));
+            signal?.addEventListener("abort", () => {
+                clearTimeout(timer);
+                reject(abortError());
+            }, { once: true });
+        });
+        const forced = this._forcedFailures.shift();
+        let response;
+        if(forced === 0 || (forced === undefined && this.random.nextFloat() < this.networkErrorRate)){
+            this._record({ method, url, status: "network error", ms: Math.round(performance.now() - started) });
+            throw new TypeError("Failed to fetch"); // what a real fetch() throws when the network is down
+        }
+        if(forced !== undefined) response = jsonResponse(forced, { error: `Injected failure (${forced})` });
+        else if(this.random.nextFloat() < this.errorRate) response = jsonResponse(500, { error: "Injected server error" });
+        else response = await this._withETag(this._respond(this.route(url), method, body), method, new Headers(headers));
+        this._record({ method, url, status: response.status, ms: Math.round(performance.now() - started) });
+        return response;
+    }
+    async _withETag(response, method, headers){
+        if(method !== "GET" || response.status !== 200) return response;
+        const etag = etagOf(await response.clone().text());
+        if(headers.get("If-None-Match") === etag) return new Response(null, { status: 304, headers: { ETag: etag } });
+        response.headers.set("ETag", etag);
+        return response;
+    }
+    _record(entry){
+        this.log.push(entry);
+        if(this.log.length > MAX_LOG) this.log.shift();
+        this.dispatchEvent(new CustomEvent("request", { detail: entry }));
+    }
+
+    _respond({ collection, id, extra, query }, method, body){
+        const items = Object.hasOwn(this.data, collection ?? "") ? this.data[collection] : null;
+        if(!items || extra) return jsonResponse(404, { error: "No such route" });
+        let payload;
+        if(body !== undefined && body !== null){
+            try {
+                payload = JSON.parse(body);
+            }
+            catch {
+                return jsonResponse(400, { error: "The body isn't valid JSON" });
+            }
+        }
+        if(id === undefined){
+            if(method === "GET"){
+                const filters = [...query];
+                return jsonResponse(200, items.filter(item => filters.every(([key, value]) => String(item[key]) === value)));
+            }
+            if(method === "POST"){
+                if(typeof payload !== "object" || payload === null || Array.isArray(payload)) return jsonResponse(400, { error: "POST needs a JSON object" });
+                const item = { ...payload, id: Math.max(0, ...items.map(item => item.id)) + 1 };
+                items.push(item);
+                return jsonResponse(201, item);
+            }
+            return jsonResponse(405, { error: `${method} isn't allowed on /${collection}` });
+        }
+        const index = items.findIndex(item => String(item.id) === id);
+        if(index === -1) return jsonResponse(404, { error: `No ${collection.slice(0, -1)} with id ${id}` });
+        switch(method){
+            case "GET":
+                return jsonResponse(200, items[index]);
+            case "PUT":
+            case "PATCH":
+                if(typeof payload !== "object" || payload === null || Array.isArray(payload)) return jsonResponse(400, { error: `${method} needs a JSON object` });
+                items[index] = method === "PUT" ? { ...payload, id: items[index].id } : { ...items[index], ...payload, id: items[index].id };
+                return jsonResponse(200, items[index]);
+            case "DELETE":
+                items.splice(index, 1);
+                return jsonResponse(200, {});
+            default:
+                return jsonResponse(405, { error: `${method} isn't allowed on /${collection}/${id}` });
+        }
+    }
+}
+
+let installed = null;
+/* Replaces window.fetch with one that sends matching requests to the mock API.
+    Calling it again just changes the settings. Returns the MockApi. */
+export function installMockApi(options = {}){
+    if(installed){
+        installed.api.configure(options);
+        return installed.api;
+    }
+    const api = new MockApi(options);
+    const realFetch = window.fetch.bind(window);
+    window.fetch = (input, init = {}) => {
+        const request = input instanceof Request ? input : null;
+        const url = request ? request.url : String(input);
+        if(!api.enabled || !api.route(url)) return realFetch(input, init);
+        const method = init.method ?? request?.method ?? "GET";
+        const signal = init.signal ?? request?.signal;
+        const headers = init.headers ?? request?.headers;
+        // a Request's body can only be read asynchronously
+        return Promise.resolve(init.body ?? (request && !["GET", "HEAD"].includes(method.toUpperCase()) ? request.text() : undefined))
+            .then(body => api.handle(url, { method, body, signal, headers }));
+    };
+    installed = { api, realFetch };
+    return api;
+}
+export function uninstallMockApi(){
+    if(!installed) return;
+    window.fetch = installed.realFetch;
+    installed = null;
+}
+export function getMockApi(){
+    return installed?.api ?? null;
+}
@@ -0,0 +1,60 @@
+/* Mock API panel: settings for the mock API (mockApi.js) and a log of the requests it answered */
+import { installMockApi } from './mockApi.js';
+
+const LOG_LENGTH = 15;
+
+const api = installMockApi(); // already installed by main.js -> the same one
+const mockEnabled = document.getElementById("mockEnabled");
+const mockLatencyMin = document.getElementById("mockLatencyMin");
+const mockLatencyMax = document.getElementById("mockLatencyMax");
+const mockErrorRate = document.getElementById("mockErrorRate");
+const mockErrorRateValue = document.getElementById("mockErrorRateValue");
+const mockNetworkErrorRate = document.getElementById("mockNetworkErrorRate");
+const mockNetworkErrorRateValue = document.getElementById("mockNetworkErrorRateValue");
+const mockFailNext = document.getElementById("mockFailNext");
+const mockReset = document.getElementById("mockReset");
+const mockApiMessage = document.getElementById("mockApiMessage");
+const mockLog = document.getElementById("mockLog");
+
+// the inputs start from the api's current settings
+mockEnabled.checked = api.enabled;
+[mockLatencyMin.value, mockLatencyMax.value] = api.latency;
+mockErrorRate.value = Math.round(api.errorRate * 100);
+mockNetworkErrorRate.value = Math.round(api.networkErrorRate * 100);
+
+function applySettings(){
+    mockErrorRateValue.textContent = `${mockErrorRate.value}%`;
+    mockNetworkErrorRateValue.textContent = `${mockNetworkErrorRate.value}%`;
+    try {
+        api.configure({
+            enabled: mockEnabled.checked,
+            latency: [Number(mockLatencyMin.value), Number(mockLatencyMax.value)],
+            errorRate: mockErrorRate.value / 100,
+            networkErrorRate: mockNetworkErrorRate.value / 100
+        });
+        mockApiMessage.textContent = "";
+    }
+    catch (error) {
+        if (!(error instanceof RangeError)) throw error;
+        mockApiMessage.textContent = error.message; // e.g. min latency above max, the old settings stay
+    }
+}
+[mockEnabled, mockLatencyMin, mockLatencyMax, mockErrorRate, mockNetworkErrorRate]
+    .forEach(input => input.addEventListener("input", applySettings));
+applySettings();
+
+mockFailNext.addEventListener("click", () => {
+    api.failNext(1, 500);
+    mockApiMessage.textContent = "The next request will get a 500.";
+});
+mockReset.addEventListener("click", () => {
+    api.reset();
+    mockApiMessage.textContent = "Data reset to the starting users, posts and games.";
+});
+
+api.addEventListener("request", ({ detail: { method, url, status, ms } }) => {
+    const li = document.createElement("li");
+    li.textContent = `${method} ${url} -> ${status} (${ms} ms)`;
+    mockLog.prepend(li);
+    mockLog.querySelectorAll(`li:nth-child(n + ${LOG_LENGTH + 1})`).forEach(old => old.remove());
+});
@@ -0,0 +1,136 @@
+/* Network simulator panel: settings for the shared simulator (networkSimulator.js) and a timeline of its requests.
+    Requests that start close together (including the ones from fakeFetch() in the async demos) share one timeline,
+    so you can see them overlap and come back in a different order than they were sent. */
+import { network, RequestTimeoutError, PartialResponseError } from './networkSimulator.js';
+
+const NEW_BATCH_AFTER = 1500; // ms without any request -> the next one starts a new timeline
+const MAX_ROWS = 30;
+
+const netDistribution = document.getElementById("netDistribution");
+const netMean = document.getElementById("netMean");
+const netSpread = document.getElementById("netSpread");
+const netJitter = document.getElementById("netJitter");
+const netTimeout = document.getElementById("netTimeout");
+const netFailureRate = document.getElementById("netFailureRate");
+const netSlowRate = document.getElementById("netSlowRate");
+const netPartialRate = document.getElementById("netPartialRate");
+const netCount = document.getElementById("netCount");
+const netFire = document.getElementById("netFire");
+const netMessage = document.getElementById("netMessage");
+const netTimeline = document.getElementById("netTimeline");
+const rateInputs = [netFailureRate, netSlowRate, netPartialRate];
+
+// the inputs start from the simulator's current settings
+netDistribution.value = network.latency.distribution;
+netMean.value = network.latency.mean;
+netSpread.value = network.latency.spread;
+netJitter.value = network.jitter;
+netTimeout.value = network.timeout;
+netFailureRate.value = Math.round(network.failureRate * 100);
+netSlowRate.value = Math.round(network.slowRate * 100);
+netPartialRate.value = Math.round(network.partialRate * 100);
+
+function applySettings(){
+    rateInputs.forEach(input => document.getElementById(`${input.id}Value`).textContent = `${input.value}%`);
+    netSpread.disabled = ["fixed", "exponential"].includes(netDistribution.value); // spread doesn't change those
+    try {
+        network.configure({
+            latency: { distribution: netDistribution.value, mean: Number(netMean.value), spread: Number(netSpread.value) },
+            jitter: Number(netJitter.value),
+            timeout: Number(netTimeout.value),
+            failureRate: netFailureRate.value / 100,
+            slowRate: netSlowRate.value / 100,
+            partialRate: netPartialRate.value / 100
+        });
+        netMessage.textContent = "";
+    }
+    catch (error) {
+        if (!(error instanceof RangeError)) throw error;
+        netMessage.textContent = error.message; // e.g. an empty or negative number, the old settings stay
+    }
+}
+[netDistribution, netMean, netSpread, netJitter, netTimeout, ...rateInputs]
+    .forEach(input => input.addEventListener("input", applySettings));
+applySettings();
+
+/* Timeline */
+let batch = [];        // entries on the current timeline, in the order they were sent
+let arrivals = [];     // ids in the order they settled
+let lastActivity = -Infinity;
+let frame = null;
+
+function bar(className, from, to, t0, total){
+    const div = document.createElement("div");
+    div.className = className;
+    div.style.left = `${(from - t0) / total * 100}%`;
+    div.style.width = `${Math.max(0, to - from) / total * 100}%`;
+    return div;
+}
+function render(){
+    frame = null;
+    const now = performance.now();
+    const t0 = batch[0]?.start ?? now;
+    const total = Math.max(1000, ...batch.map(entry => (entry.end ?? now) - t0));
+    netTimeline.replaceChildren(...batch.map(entry => {
+        const end = entry.end ?? now;
+        const downloadStart = entry.start + entry.duration / 2; // see request() in networkSimulator.js
+        const row = document.createElement("div");
+        row.className = `net-row ${entry.state}`;
+        const label = document.createElement("span");
+        label.className = "net-label";
+        label.textContent = `#${entry.id} ${entry.label}${entry.slow ? " (slow)" : ""}`;
+        const track = document.createElement("div");
+        track.className = "net-track";
+        // waiting for the first byte, then the download
+        track.append(bar("net-wait", entry.start, Math.min(end, downloadStart), t0, total));
+        if(end > downloadStart) track.append(bar("net-download", downloadStart, end, t0, total));
+        const info = document.createElement("span");
+        info.className = "net-info";
+        info.textContent = entry.state === "pending" ? `${Math.round(entry.progress * 100)}%` : `${entry.state}, ${Math.round(end - entry.start)} ms`;
+        row.append(label, track, info);
+        return row;
+    }));
+    const axis = document.createElement("p");
+    axis.className = "net-axis";
+    axis.textContent = `0 ms ... ${Math.round(total)} ms`;
+    if(arrivals.length > 1) axis.textContent += ` | sent: ${batch.map(entry => `#${entry.id}`).join(", ")} | came back: ${arrivals.map(id => `#${id}`).join(", ")}`;
+    netTimeline.append(axis);
+    if(network.pending.size > 0) scheduleRender(); // keep the pending bars growing
+}
+function scheduleRender(){
+    frame ??= requestAnimationFrame(render);
+}
+
+network.addEventListener("request", ({ detail: entry }) => {
+    if(entry.start - lastActivity > NEW_BATCH_AFTER && batch.every(old => old.state !== "pending")){
+        batch = [];
+        arrivals = [];
+    }
+    batch.push(entry);
+    if(batch.length > MAX_ROWS){
+        const [dropped] = batch.splice(0, 1);
+        arrivals = arrivals.filter(id => id !== dropped.id); // "came back" only lists what's still on the timeline
+    }
+    lastActivity = entry.start;
+    scheduleRender();
+});
+network.addEventListener("settle", ({ detail: entry }) => {
+    arrivals.push(entry.id);
+    lastActivity = entry.end;
+    scheduleRender();
+});
+
+netFire.addEventListener("click", async () => {
+    const count = Math.min(20, Math.max(1, Math.floor(Number(netCount.value)) || 1));
+    const results = await Promise.allSettled(
+        Array.from({ length: count }, (_, i) => network.request(`request ${i + 1}`, { data: i + 1 }))
+    );
+    const tally = { done: 0, failed: 0, timeout: 0, partial: 0 };
+    results.forEach(({ status, reason }) => {
+        if(status === "fulfilled") tally.done++;
+        else if(reason instanceof RequestTimeoutError) tally.timeout++;
+        else if(reason instanceof PartialResponseError) tally.partial++;
+        else tally.failed++;
+    });
+    netMessage.textContent = `${tally.done} done, ${tally.failed} failed, ${tally.timeout} timed out, ${tally.partial} cut off.`;
+});
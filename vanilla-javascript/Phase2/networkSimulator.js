@@ -0,0 +1,157 @@
+/* Network simulator: fakeFetch() with a more realistic network behind it.
+    fakeFetch() always answered after exactly 1000 ms, so "which request comes back first?" had only one answer.
+    Here every request gets its own delay, picked from a distribution, and it can fail, time out,
+    be slow or get cut off halfway -> requests sent together come back in a different order every time.
+
+    const network = new NetworkSimulator({ latency: { distribution: "normal", mean: 800, spread: 300 }, failureRate: 0.2 });
+    const data = await network.request("users", { data: [1, 2, 3] });   // resolves with data, or rejects with a NetworkSimError
+    network.configure({ timeout: 1000, slowRate: 0.3 });
+
+    Latency distributions (spread means something different for each):
+        fixed        always `mean` ms
+        uniform      anywhere between mean - spread and mean + spread
+        normal       mostly around `mean`, spread = standard deviation
+        exponential  mostly fast, now and then very slow (a long tail), averages `mean`
+    jitter: another ±jitter ms on top of that, for every request
+
+    Events (event.detail = the request's entry, see request()): "request" when one starts, "settle" when it ends */
+import { Random } from './randomUtil.js';
+
+export const DISTRIBUTIONS = ["fixed", "uniform", "normal", "exponential"];
+
+export class NetworkSimError extends Error {
+    constructor(message, entry){
+        super(message);
+        this.name = "NetworkSimError";
+        this.entry = entry;
+    }
+}
+// the (simulated) server said no
+export class RequestFailedError extends NetworkSimError {
+    constructor(message, entry){
+        super(message, entry);
+        this.name = "RequestFailedError";
+    }
+}
+export class RequestTimeoutError extends NetworkSimError {
+    constructor(entry, timeout){
+        super(`${entry.label} timed out after ${timeout} ms`, entry);
+        this.name = "RequestTimeoutError";
+    }
+}
+// the connection dropped while the response was coming in
+export class PartialResponseError extends NetworkSimError {
+    constructor(entry){
+        super(`${entry.label} was cut off after ${Math.round(entry.progress * 100)}% of the response`, entry);
+        this.name = "PartialResponseError";
+    }
+}
+
+function abortError(){
+    return new DOMException("The operation was aborted.", "AbortError"); // same as a cancelled fetch()
+}
+
+export class NetworkSimulator extends EventTarget {
+    // the defaults behave exactly like the old fakeFetch(): 1000 ms, never fails
+    constructor({ latency = { distribution: "fixed", mean: 1000, spread: 0 }, jitter = 0, failureRate = 0, timeout = 0,
+        slowRate = 0, slowFactor = 4, partialRate = 0, seed = Date.now() } = {}){
+        super();
+        this.random = new Random(seed);
+        this.latency = { distribution: "fixed", mean: 1000, spread: 0 };
+        this.configure({ latency, jitter, failureRate, timeout, slowRate, slowFactor, partialRate });
+        this._nextId = 1;
+        this.pending = new Set(); // entries of the requests still on their way
+    }
+    /* latency: { distribution, mean, spread } (any of them); jitter: ms; timeout: ms, 0 = wait forever
+        failureRate, slowRate (takes slowFactor times longer), partialRate (cut off halfway): chances from 0 to 1 */
+    configure({ latency = {}, jitter = this.jitter, failureRate = this.failureRate, timeout = this.timeout,
+        slowRate = this.slowRate, slowFactor = this.slowFactor, partialRate = this.partialRate } = {}){
+        const { distribution, mean, spread } = { ...this.latency, ...latency };
+        if(!DISTRIBUTIONS.includes(distribution)) throw new RangeError(`Unknown latency distribution "${distribution}" (use ${DISTRIBUTIONS.join(", ")})`);
+        [mean, spread, jitter, timeout].forEach(ms => {
+            if(!(ms >= 0)) throw new RangeError(`Times are numbers of ms, 0 or more (got ${ms})`);
+        });
+        [failureRate, slowRate, partialRate].forEach(rate => {
+            if(!(rate >= 0 && rate <= 1)) throw new RangeError(`Rates are between 0 and 1 (got ${rate})`);
+        });
+        if(!(slowFactor >= 1)) throw new RangeError(`slowFactor must be 1 or more (got ${slowFactor})`);
+        Object.assign(this, { latency: { distribution, mean, spread }, jitter, failureRate, timeout, slowRate, slowFactor, partialRate });
+    }
+
+    // one delay in ms, from the latency distribution plus jitter (never below 0)
+    sampleLatency(){
+        const { distribution, mean, spread } = this.latency;
+        const u = this.random.nextFloat();
+        let ms;
+        switch(distribution){
+            case "fixed":
+                ms = mean;
+                break;
+            case "uniform":
+                ms = mean - spread + u * 2 * spread;
+                break;
+            case "normal": {
+                // Box-Muller: two uniform numbers -> one normally distributed number (mean 0, standard deviation 1)
+                const v = this.random.nextFloat();
+                ms = mean + spread * Math.sqrt(-2 * Math.log(1 - u)) * Math.cos(2 * Math.PI * v);
+                break;
+            }
+            case "exponential":
+                ms = -mean * Math.log(1 - u);
+                break;
+        }
+        ms += (this.random.nextFloat() * 2 - 1) * this.jitter;
+        return Math.max(0, Math.round(ms));
+    }
+
+    /* Resolves with `data` after a simulated delay, or rejects with a RequestFailedError, RequestTimeoutError,
+        PartialResponseError (or an AbortError when `signal` aborts). fail: true -> it fails, whatever failureRate is.
+        Every request gets an entry (also in the events):
+        { id, label, start, end, duration, slow, state: "pending" | "done" | "failed" | "timeout" | "partial" | "aborted", progress, error }
+        progress goes from 0 to 1 while the response "downloads" (the second half of the duration). */
+    request(label = "request", { data, fail = false, timeout = this.timeout, signal } = {}){
+        const slow = this.random.nextFloat() < this.slowRate;
+        const duration = Math.round(this.sampleLatency() * (slow ? this.slowFactor : 1));
+        const failed = fail || this.random.nextFloat() < this.failureRate;
+        // a partial response gets cut somewhere between 10% and 90% of the download
+        const cutAt = !failed && this.random.nextFloat() < this.partialRate ? 0.1 + this.random.nextFloat() * 0.8 : null;
+        const entry = { id: this._nextId++, label, start: performance.now(), end: null, duration, slow, state: "pending", error: null };
+        let finalProgress = null;
+        Object.defineProperty(entry, "progress", {
+            enumerable: true,
+            get: () => finalProgress ?? (duration === 0 ? 0 : Math.min(cutAt ?? 1, Math.max(0, (performance.now() - entry.start) / duration * 2 - 1)))
+        });
+
+        return new Promise((resolve, reject) => {
+            const timers = [];
+            const settle = (state, error) => {
+                timers.forEach(clearTimeout);
+                signal?.removeEventListener("abort", onAbort);
+                finalProgress = state === "done" ? 1 : entry.progress; // stops moving once it's over
+                Object.assign(entry, { state, end: performance.now(), error });
+                this.pending.delete(entry);
+                this.dispatchEvent(new CustomEvent("settle", { detail: entry }));
+                error ? reject(error) : resolve(data);
+            };
+            const onAbort = () => settle("aborted", abortError());
+            if(signal?.aborted) return reject(abortError());
+            signal?.addEventListener("abort", onAbort, { once: true });
+            this.pending.add(entry);
+            this.dispatchEvent(new CustomEvent("request", { detail: entry }));
+
+            // the download starts halfway, so a cut-off response ends at duration * (1 + cutAt) / 2
+            const endsAt = cutAt === null ? duration : duration * (1 + cutAt) / 2;
+            timers.push(setTimeout(() => {
+                if(failed) settle("failed", new RequestFailedError("Fetch failed.", entry));
+                else if(cutAt !== null) settle("partial", new PartialResponseError(entry));
+                else settle("done", null);
+            }, endsAt));
+            if(timeout > 0 && timeout < endsAt){
+                timers.push(setTimeout(() => settle("timeout", new RequestTimeoutError(entry, timeout)), timeout));
+            }
+        });
+    }
+}
+
+// the one the page uses: fakeFetch() in main.js and the "Network simulator" panel share it
+export const network = new NetworkSimulator();
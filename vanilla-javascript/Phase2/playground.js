@@ -0,0 +1,254 @@
+/* Live-code playground: edit a snippet and run it in a sandboxed iframe.
+    - sandbox="allow-scripts" WITHOUT allow-same-origin -> the snippet can't touch this page, its cookies or its storage
+        (it gets its own localStorage/sessionStorage, in memory and empty on every run)
+    - only what's in the snippet exists in there: a demo that uses imports or the page's globals needs a stand-alone
+        `snippet` (demoRegistry.js), checkSnippets() in demoCatalog.js finds the ones that don't have one
+    - console.log/info/warn/error and uncaught errors are sent back with postMessage and shown under the editor
+    - a run ends once the code and every timer/fetch it started are finished (so async output isn't cut off),
+        or after `timeout` ms at the latest (the iframe is removed, which also kills a setInterval that's never cleared)
+    Note: a synchronous infinite loop can still freeze the tab in browsers that run the iframe on the same thread. */
+
+const DEFAULT_TIMEOUT = 10000; // long enough for the async demos (the chores take 4.5 s one after the other)
+
+const STYLES = `
+.playground-editor {
+    width: 100%;
+    box-sizing: border-box;
+    margin-top: 20px;
+    padding: 15px;
+    background-color: #1e1e1e;
+    color: #dcdcdc;
+    border-radius: 8px;
+    font-family: 'Consolas', 'Menlo', monospace;
+    font-size: 0.85rem;
+    tab-size: 4;
+    resize: vertical;
+}
+.playground-console {
+    min-height: 2em;
+    max-height: 250px;
+    overflow: auto;
+    padding: 10px;
+    background-color: #f4f4f4;
+    color: #333;
+    border-radius: 8px;
+    font-family: 'Consolas', 'Menlo', monospace;
+    font-size: 0.85rem;
+    white-space: pre-wrap;
+}
+.playground-console:empty {
+    display: none;
+}
+.playground-info {
+    opacity: 0.7;
+}
+.playground-warn {
+    color: #b9770e;
+}
+.playground-error {
+    color: #c0392b;
+}`;
+function ensureStyles(){
+    if(document.getElementById("playground-styles")) return;
+    const style = document.createElement("style");
+    style.id = "playground-styles";
+    style.textContent = STYLES;
+    document.head.append(style);
+}
+
+// runs inside the iframe, before the snippet
+function bootstrap(token){
+    const send = message => parent.postMessage({ token, ...message }, "*");
+    const format = value => {
+        if(typeof value === "string") return value;
+        if(value instanceof Error) return `${value.name}: ${value.message}`;
+        try {
+            return JSON.stringify(value, null, 2) ?? String(value);
+        }
+        catch {
+            return String(value);
+        }
+    };
+    ["log", "info", "warn", "error", "debug"].forEach(level => {
+        console[level] = (...args) => send({ type: "console", level, text: args.map(format).join(" ") });
+    });
+    // the demos print into #output (Phase2) or #extraOutput (Phase1), whatever ends up there is shown like a console.log
+    const outputs = ["output", "extraOutput"].map(id => document.getElementById(id));
+    const observer = new MutationObserver(records => {
+        new Set(records.map(record => outputs.find(output => output.contains(record.target))))
+            .forEach(output => send({ type: "console", level: "log", text: output.textContent }));
+    });
+    outputs.forEach(output => observer.observe(output, { childList: true, characterData: true, subtree: true }));
+    // without allow-same-origin, touching localStorage throws a SecurityError -> an in-memory one instead (empty on every run)
+    const memoryStorage = () => {
+        const items = new Map();
+        return {
+            get length(){ return items.size; },
+            key: index => [...items.keys()][index] ?? null,
+            getItem: key => items.get(String(key)) ?? null,
+            setItem: (key, value) => items.set(String(key), String(value)),
+            removeItem: key => items.delete(String(key)),
+            clear: () => items.clear()
+        };
+    };
+    ["localStorage", "sessionStorage"].forEach(name => Object.defineProperty(window, name, { value: memoryStorage(), configurable: true }));
+    window.print = window.pagePrint = message => outputs[0].textContent = format(message);
+    window.setExtraOutput = message => outputs[1].textContent = format(message);
+    window.addEventListener("error", event => {
+        send({ type: "error", text: event.error ? format(event.error) : event.message, line: event.lineno });
+    });
+    window.addEventListener("unhandledrejection", event => {
+        send({ type: "error", text: `Uncaught (in promise) ${format(event.reason)}` });
+    });
+    // counts the timers and fetches still pending, so the run only ends once they're all done
+    const pending = new Set();
+    const { setTimeout: realSetTimeout, clearTimeout: realClearTimeout, setInterval: realSetInterval, clearInterval: realClearInterval } = window;
+    let scriptDone = false;
+    const checkIdle = () => {
+        if(!scriptDone || pending.size > 0) return;
+        // one more macrotask, so microtasks (promise callbacks) queued by the last timer get to run and maybe start a new timer
+        realSetTimeout(() => {
+            if(pending.size === 0) send({ type: "idle" });
+        }, 0);
+    };
+    window.setTimeout = (callback, ms, ...args) => {
+        const id = realSetTimeout(() => {
+            pending.delete(id);
+            try {
+                if(typeof callback === "function") callback(...args);
+            }
+            finally {
+                checkIdle();
+            }
+        }, ms);
+        pending.add(id);
+        return id;
+    };
+    window.setInterval = (...args) => {
+        const id = realSetInterval(...args);
+        pending.add(id); // until it's cleared (or the run times out)
+        return id;
+    };
+    window.clearTimeout = window.clearInterval = id => {
+        realClearTimeout(id);
+        realClearInterval(id);
+        if(pending.delete(id)) checkIdle();
+    };
+    if(window.fetch){
+        const realFetch = window.fetch;
+        window.fetch = (...args) => {
+            const request = Symbol("fetch");
+            pending.add(request);
+            return realFetch(...args).finally(() => {
+                pending.delete(request);
+                checkIdle();
+            });
+        };
+    }
+    window.__done = () => {
+        send({ type: "done" });
+        scriptDone = true;
+        checkIdle();
+    };
+}
+
+/* Runs code in a fresh sandbox. onMessage({ type, level, text }) is called for every console line or error as it happens.
+    Resolves with { messages, timedOut } */
+export function runInSandbox(code, { timeout = DEFAULT_TIMEOUT, onMessage = () => {} } = {}){
+    const token = crypto.randomUUID();
+    const iframe = document.createElement("iframe");
+    iframe.setAttribute("sandbox", "allow-scripts");
+    iframe.hidden = true;
+    // "</script" inside the snippet would end the script tag early
+    const safeCode = code.replace(/<\/script/gi, "<\\/script");
+    const before = `<!DOCTYPE html><pre id="output"></pre><pre id="extraOutput"></pre>`
+        + `<script>(${bootstrap})(${JSON.stringify(token)});<\/script>\n<script>`;
+    iframe.srcdoc = `${before}${safeCode}\n<\/script><script>__done();<\/script>`;
+    // error line numbers count from the top of the whole srcdoc -> minus the lines of the bootstrap above the snippet
+    const lineOffset = before.split("\n").length - 1;
+    const messages = [];
+    return new Promise(resolve => {
+        let finished = false;
+        function stop(timedOut){
+            clearTimeout(hardLimit);
+            window.removeEventListener("message", listener);
+            iframe.remove();
+            resolve({ messages, timedOut });
+        }
+        function listener(event){
+            if(event.source !== iframe.contentWindow || event.data?.token !== token) return;
+            const { type, level, text, line } = event.data;
+            if(type === "done"){
+                finished = true;
+            }
+            else if(type === "idle"){
+                if(finished) stop(false); // the code and everything it started are done
+            }
+            else{
+                const snippetLine = line - lineOffset;
+                const message = { type, level: level ?? "error", text: snippetLine > 0 ? `${text} (line ${snippetLine})` : text };
+                messages.push(message);
+                onMessage(message);
+            }
+        }
+        const hardLimit = setTimeout(() => stop(true), timeout);
+        window.addEventListener("message", listener);
+        document.body.append(iframe);
+    });
+}
+
+/* Editor + Run / Reset buttons + console output. Returns the element to put on the page. */
+export function createPlayground(code, { timeout = DEFAULT_TIMEOUT } = {}){
+    ensureStyles();
+    const element = document.createElement("div");
+    element.className = "playground";
+    element.innerHTML = `
+        <textarea class="playground-editor" spellcheck="false" aria-label="Code editor"></textarea>
+        <div>
+            <button type="button" class="playground-run">Run in sandbox</button>
+            <button type="button" class="playground-reset">Reset</button>
+        </div>
+        <pre class="playground-console" aria-live="polite" aria-label="Sandbox console"></pre>`;
+    const editor = element.querySelector(".playground-editor");
+    const runButton = element.querySelector(".playground-run");
+    const resetButton = element.querySelector(".playground-reset");
+    const output = element.querySelector(".playground-console");
+    editor.value = code;
+    editor.rows = Math.min(20, Math.max(6, code.split("\n").length + 1));
+
+    function appendLine(text, level){
+        const line = document.createElement("div");
+        line.className = `playground-${level}`;
+        line.textContent = text;
+        output.append(line);
+    }
+    // Tab inserts spaces instead of leaving the editor (Esc first, then Tab, still moves focus on)
+    let escaped = false;
+    editor.addEventListener("keydown", event => {
+        if(event.key === "Escape"){
+            escaped = true;
+            return;
+        }
+        if(event.key === "Tab" && !event.shiftKey && !escaped){
+            event.preventDefault();
+            editor.setRangeText("    ", editor.selectionStart, editor.selectionEnd, "end");
+        }
+        escaped = false;
+    });
+    runButton.addEventListener("click", async () => {
+        output.replaceChildren();
+        runButton.disabled = true;
+        const { messages, timedOut } = await runInSandbox(editor.value, {
+            timeout,
+            onMessage: ({ text, level }) => appendLine(text, level)
+        });
+        if(timedOut) appendLine(`Stopped after ${timeout / 1000}s`, "warn");
+        else if(messages.length === 0) appendLine("(no output)", "info");
+        runButton.disabled = false;
+    });
+    resetButton.addEventListener("click", () => {
+        editor.value = code;
+        output.replaceChildren();
+    });
+    return element;
+}
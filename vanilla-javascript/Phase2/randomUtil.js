@@ -0,0 +1,87 @@
+/* Seedable random numbers:
+    Math.random() can't be seeded, so a shuffled deck or a game can never be replayed.
+    Random uses the mulberry32 algorithm: the whole generator is a single 32-bit number (the state),
+    so the same seed always gives the same sequence, and saving/restoring the state is just JSON.
+    Good for games and demos, NOT for anything security related (use crypto.getRandomValues() for that). */
+
+// FNV-1a hash -> turns a string seed like "blackjack" into a 32-bit number
+function hashSeed(seed){
+    if(typeof seed === "number" && Number.isFinite(seed)){
+        return seed >>> 0;
+    }
+    if(typeof seed !== "string"){
+        throw new TypeError(`Seed must be a number or a string (got ${typeof seed})`);
+    }
+    let hash = 0x811c9dc5;
+    for(let i = 0; i < seed.length; i++){
+        hash ^= seed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+export class Random {
+    constructor(seed = Date.now()){
+        this.seed = seed;
+        this._state = hashSeed(seed);
+    }
+    static fromState({ seed, state }){
+        const random = new Random(seed);
+        random._state = state >>> 0;
+        return random;
+    }
+    getState(){
+        return { seed: this.seed, state: this._state };
+    }
+    toJSON(){
+        return this.getState();
+    }
+    // float between 0 (inclusive) and 1 (exclusive), just like Math.random()
+    nextFloat(){
+        this._state = (this._state + 0x6d2b79f5) >>> 0;
+        let t = this._state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    // integer between min and max, both inclusive -> int(1, 6) is a dice roll
+    int(min, max){
+        if(!Number.isInteger(min) || !Number.isInteger(max) || min > max){
+            throw new RangeError(`int() needs two integers with min <= max (got ${min}, ${max})`);
+        }
+        return min + Math.floor(this.nextFloat() * (max - min + 1));
+    }
+    pick(array){
+        if(array.length === 0){
+            throw new RangeError("Can't pick from an empty array");
+        }
+        return array[this.int(0, array.length - 1)];
+    }
+    // Fisher–Yates, in place (same as the Phase2 example, but seeded) -> returns the same array
+    shuffle(array){
+        for(let i = array.length - 1; i > 0; i--){
+            const random = this.int(0, i);
+            [array[i], array[random]] = [array[random], array[i]];
+        }
+        return array;
+    }
+    // weighted(["common", "rare"], [9, 1]) -> "common" 90% of the time
+    weighted(items, weights){
+        if(items.length === 0 || items.length !== weights.length){
+            throw new RangeError("weighted() needs one weight for every item");
+        }
+        if(weights.some(weight => typeof weight !== "number" || !Number.isFinite(weight) || weight < 0)){
+            throw new RangeError("Weights must be finite numbers that aren't negative");
+        }
+        const total = weights.reduce((acc, weight) => acc + weight, 0);
+        if(total === 0){
+            throw new RangeError("At least one weight must be bigger than 0");
+        }
+        let roll = this.nextFloat() * total;
+        for(let i = 0; i < items.length; i++){
+            roll -= weights[i];
+            if(roll < 0) return items[i];
+        }
+        return items[weights.findLastIndex(weight => weight > 0)]; // floating point leftovers
+    }
+}
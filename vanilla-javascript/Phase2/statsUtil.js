@@ -0,0 +1,139 @@
+/* Descriptive statistics for arrays of numbers, or arrays of objects by key.
+    Every function takes (data, ..., options) where options can have:
+    - key: property name (or a function) to read from each object, e.g. mean(students, { key: "gpa" })
+    - nan: "throw" (default) -> NaN or non-number values throw an InvalidValueError
+           "skip"            -> they are left out of the calculation
+    Empty data ALWAYS throws an EmptyDataError, unlike getAverage() from Phase1, which quietly returns NaN. */
+
+export class StatsError extends Error {
+    constructor(message){
+        super(message);
+        this.name = "StatsError";
+    }
+}
+export class EmptyDataError extends StatsError {
+    constructor(operation){
+        super(`Can't calculate the ${operation} of no values`);
+        this.name = "EmptyDataError";
+    }
+}
+export class InvalidValueError extends StatsError {
+    constructor(value, index){
+        super(`Value at index ${index} is not a number (got ${value})`);
+        this.name = "InvalidValueError";
+        this.value = value;
+        this.index = index;
+    }
+}
+
+function numbersFrom(data, operation, { key, nan = "throw" } = {}){
+    if(!Array.isArray(data)){
+        throw new TypeError(`Expected an array of values (got ${typeof data})`);
+    }
+    const read = typeof key === "function" ? key : key === undefined ? item => item : item => item?.[key];
+    const values = [];
+    data.forEach((item, index) => {
+        const value = read(item);
+        if(typeof value !== "number" || Number.isNaN(value)){
+            if(nan === "skip") return;
+            throw new InvalidValueError(value, index);
+        }
+        values.push(value);
+    });
+    if(values.length === 0){
+        throw new EmptyDataError(operation);
+    }
+    return values;
+}
+function sorted(values){
+    return [...values].sort((a, b) => a - b);
+}
+// linear interpolation between the two closest ranks (the same method as Excel's PERCENTILE.INC)
+function quantile(sortedValues, p){
+    const position = (sortedValues.length - 1) * (p / 100);
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+}
+
+export function sum(data, options){
+    return numbersFrom(data, "sum", options).reduce((acc, value) => acc + value, 0);
+}
+export function mean(data, options){
+    const values = numbersFrom(data, "mean", options);
+    return values.reduce((acc, value) => acc + value, 0) / values.length;
+}
+export function median(data, options){
+    return quantile(sorted(numbersFrom(data, "median", options)), 50);
+}
+// all of the most frequent values (there can be more than one), in the order they first appear
+export function mode(data, options){
+    const counts = new Map();
+    numbersFrom(data, "mode", options).forEach(value => counts.set(value, (counts.get(value) ?? 0) + 1));
+    let highest = 0; // a loop instead of Math.max(...counts.values()), same reason as min() and max() below
+    counts.forEach(count => highest = Math.max(highest, count));
+    return [...counts].filter(([, count]) => count === highest).map(([value]) => value);
+}
+// options.sample = true -> divides by (n - 1) for a sample instead of n for a whole population
+export function variance(data, options = {}){
+    const values = numbersFrom(data, "variance", options);
+    if(options.sample && values.length < 2){
+        throw new StatsError("A sample variance needs at least 2 values");
+    }
+    const average = values.reduce((acc, value) => acc + value, 0) / values.length;
+    const squaredDiffs = values.reduce((acc, value) => acc + (value - average) ** 2, 0);
+    return squaredDiffs / (options.sample ? values.length - 1 : values.length);
+}
+export function standardDeviation(data, options){
+    return Math.sqrt(variance(data, options));
+}
+// p goes from 0 to 100 -> percentile(data, 50) is the median
+export function percentile(data, p, options){
+    if(typeof p !== "number" || p < 0 || p > 100){
+        throw new RangeError(`Percentile must be between 0 and 100 (got ${p})`);
+    }
+    return quantile(sorted(numbersFrom(data, "percentile", options)), p);
+}
+// a loop instead of Math.min(...values), which can overflow the call stack for very big arrays
+export function min(data, options){
+    return numbersFrom(data, "minimum", options).reduce((lowest, value) => (value < lowest ? value : lowest));
+}
+export function max(data, options){
+    return numbersFrom(data, "maximum", options).reduce((highest, value) => (value > highest ? value : highest));
+}
+/* Splits the range [min, max] into equal-width bins and counts the values in each one.
+    Every bin includes its start and excludes its end, except the last, which also includes max. */
+export function histogram(data, binCount = 10, options){
+    if(!Number.isInteger(binCount) || binCount < 1){
+        throw new RangeError(`Bin count must be a positive integer (got ${binCount})`);
+    }
+    const values = numbersFrom(data, "histogram", options);
+    const lowest = min(values);
+    const highest = max(values);
+    const width = (highest - lowest) / binCount || 1; // every value is the same -> width 1, so they all land in the first bin
+    const bins = Array.from({ length: binCount }, (_, i) => ({
+        from: lowest + i * width,
+        to: lowest + (i + 1) * width,
+        count: 0
+    }));
+    values.forEach(value => {
+        const index = Math.min(Math.floor((value - lowest) / width), binCount - 1);
+        bins[index].count++;
+    });
+    return bins;
+}
+export function summary(data, options = {}){
+    const values = numbersFrom(data, "summary", options); // validate once, then the rest can use plain numbers
+    const spread = { sample: options.sample }; // key and nan are already handled, sample still matters
+    return {
+        count: values.length,
+        sum: sum(values),
+        mean: mean(values),
+        median: median(values),
+        mode: mode(values),
+        variance: variance(values, spread),
+        standardDeviation: standardDeviation(values, spread),
+        min: min(values),
+        max: max(values)
+    };
+}
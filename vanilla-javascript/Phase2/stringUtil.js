@@ -0,0 +1,144 @@
+/* Unicode-aware string helpers.
+    JavaScript strings are UTF-16 code units, so .length, .slice(), [...str] and .split("") count the wrong thing:
+    "👍🏽".length is 4, [..."é"] is 2 pieces, and reversing "🇮🇳" gives a different flag.
+    Everything here works on graphemes (what a person sees as ONE character) using Intl.Segmenter. */
+
+export class StringError extends Error {
+    constructor(message){
+        super(message);
+        this.name = "StringError";
+    }
+}
+export class InvalidEmailError extends StringError {
+    constructor(email, reason){
+        super(`"${email}" is not a valid email address: ${reason}`);
+        this.name = "InvalidEmailError";
+        this.email = email;
+    }
+}
+
+// lower-cased in titles unless they're the first or last word
+const MINOR_WORDS = ["a", "an", "and", "as", "at", "but", "by", "for", "in", "nor", "of", "on", "or", "the", "to", "with"];
+// parts of a surname: "Ludwig van Beethoven" -> last name "van Beethoven"
+const NAME_PARTICLES = ["al", "bin", "da", "de", "del", "della", "der", "di", "dos", "du", "la", "le", "van", "von"];
+const NAME_SUFFIXES = ["jr", "sr", "ii", "iii", "iv", "phd", "md"];
+
+const segmenters = new Map();
+export function graphemes(str, locale){
+    if(typeof Intl.Segmenter !== "function") return Array.from(str); // old browsers: at least don't split surrogate pairs
+    if(!segmenters.has(locale)) segmenters.set(locale, new Intl.Segmenter(locale, { granularity: "grapheme" }));
+    return Array.from(segmenters.get(locale).segment(str), ({ segment }) => segment);
+}
+export function graphemeLength(str){
+    return graphemes(str).length;
+}
+export function reverse(str){
+    return graphemes(str).reverse().join("");
+}
+
+// "  sAPTO  " -> "Sapto" (the method chaining example, but the first letter can be "é" or "ǆ")
+export function capitalize(str, locale){
+    const [first = "", ...rest] = graphemes(str.trim(), locale);
+    return first.toLocaleUpperCase(locale) + rest.join("").toLocaleLowerCase(locale);
+}
+
+/* "the lord of the rings" -> "The Lord of the Rings", "jean-luc o'brien" -> "Jean-Luc O'Brien"
+    minorWords: [] to capitalize every word */
+export function titleCase(str, { locale, minorWords = MINOR_WORDS } = {}){
+    const words = str.trim().split(/\s+/).filter(Boolean);
+    return words.map((word, index) => {
+        const lower = word.toLocaleLowerCase(locale);
+        if(index > 0 && index < words.length - 1 && minorWords.includes(lower)) return lower;
+        return lower
+            .split("-")
+            .map(part => {
+                const match = part.match(/^(\p{L})(['’])(\p{L}.*)$/u); // O'Brien, D'Angelo, L'Oréal
+                return match ? match[1].toLocaleUpperCase(locale) + match[2] + capitalize(match[3], locale) : capitalize(part, locale);
+            })
+            .join("-");
+    }).join(" ");
+}
+
+/* "Crème Brûlée & Co!" -> "creme-brulee-co"
+    ascii: false keeps non-Latin letters ("নমস্কার দুনিয়া" -> "নমস্কার-দুনিয়া"), otherwise they're dropped */
+export function slugify(str, { ascii = true, separator = "-" } = {}){
+    let text = str.normalize(ascii ? "NFKD" : "NFC").toLowerCase();
+    if(ascii) text = text.replace(/\p{M}/gu, "").replace(/[^a-z0-9]+/g, " ");
+    else text = text.replace(/[^\p{L}\p{M}\p{N}]+/gu, " ");
+    return text.trim().split(" ").filter(Boolean).join(separator);
+}
+
+/* Replaces fullName.slice(0, fullName.indexOf(" ")), which breaks with one-word names, double spaces,
+    middle names, "van"/"de" surnames and "Jr." suffixes.
+    parseName("Martin Luther King Jr.") -> { first: "Martin", middle: ["Luther"], last: "King", suffix: "Jr." } */
+export function parseName(fullName){
+    const parts = fullName.trim().split(/\s+/).filter(Boolean);
+    let suffix = "";
+    if(parts.length > 1 && NAME_SUFFIXES.includes(parts[parts.length - 1].replace(/[.,]/g, "").toLowerCase())){
+        suffix = parts.pop();
+        parts[parts.length - 1] = parts[parts.length - 1].replace(/,$/, ""); // "King, Jr."
+    }
+    const first = parts.shift() ?? "";
+    if(parts.length === 0) return { first, middle: [], last: "", suffix };
+    // the last name starts at the first particle, or is just the last word
+    let lastStart = parts.findIndex(part => NAME_PARTICLES.includes(part.toLowerCase()));
+    if(lastStart === -1 || lastStart === parts.length - 1) lastStart = parts.length - 1;
+    return { first, middle: parts.slice(0, lastStart), last: parts.slice(lastStart).join(" "), suffix };
+}
+
+/* Replaces email.slice(0, email.indexOf("@")).
+    parseEmail("Sapto+news@Gmail.com") -> { username: "Sapto+news", tag: "news", domain: "gmail.com", tld: "com" }
+    Throws an InvalidEmailError saying what's wrong (the domain is lower-cased, the username is kept as typed). */
+export function parseEmail(email){
+    const trimmed = email.trim();
+    const at = trimmed.lastIndexOf("@"); // the LAST @: a quoted username can contain one
+    if(at === -1) throw new InvalidEmailError(email, "missing @");
+    const username = trimmed.slice(0, at);
+    const domain = trimmed.slice(at + 1).toLowerCase();
+    if(!username) throw new InvalidEmailError(email, "nothing before the @");
+    if(/\s/.test(trimmed)) throw new InvalidEmailError(email, "contains spaces");
+    if(!domain.includes(".")) throw new InvalidEmailError(email, "the domain needs a dot, like gmail.com");
+    if(domain.split(".").some(label => !/^[\p{L}\p{N}]([\p{L}\p{N}-]*[\p{L}\p{N}])?$/u.test(label))){
+        throw new InvalidEmailError(email, `"${domain}" is not a valid domain`);
+    }
+    const plus = username.indexOf("+");
+    return {
+        username,
+        tag: plus === -1 ? "" : username.slice(plus + 1),
+        domain,
+        tld: domain.slice(domain.lastIndexOf(".") + 1)
+    };
+}
+
+/* mask("123-456-7890") -> "•••-•••-7890"
+    Only characters matching `maskable` are hidden or counted, so separators stay where they are. */
+export function mask(str, { visibleStart = 0, visibleEnd = 4, maskChar = "•", maskable = /[\p{L}\p{N}]/u } = {}){
+    const chars = graphemes(str);
+    const total = chars.filter(char => maskable.test(char)).length;
+    let seen = 0;
+    return chars.map(char => {
+        if(!maskable.test(char)) return char;
+        seen++;
+        return seen <= visibleStart || seen > total - visibleEnd ? char : maskChar;
+    }).join("");
+}
+// "Sapto123@gmail.com" -> "S•••••••@gmail.com"
+export function maskEmail(email, options){
+    const { username, domain } = parseEmail(email);
+    return `${mask(username, { visibleStart: 1, visibleEnd: 0, maskable: /./su, ...options })}@${domain}`;
+}
+
+/* Cuts to at most maxLength graphemes INCLUDING the ellipsis.
+    wordBoundary: true -> don't cut in the middle of a word (unless the first word alone is too long) */
+export function truncate(str, maxLength, { ellipsis = "…", wordBoundary = false } = {}){
+    const chars = graphemes(str);
+    if(chars.length <= maxLength) return str;
+    const room = maxLength - graphemeLength(ellipsis);
+    if(room <= 0) return graphemes(ellipsis).slice(0, maxLength).join("");
+    let cut = chars.slice(0, room).join("");
+    if(wordBoundary && !/\s/.test(chars[room])){
+        const lastSpace = cut.search(/\s\S*$/);
+        if(lastSpace > 0) cut = cut.slice(0, lastSpace);
+    }
+    return cut.trimEnd() + ellipsis;
+}
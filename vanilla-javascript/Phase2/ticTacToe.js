@@ -0,0 +1,138 @@
+/* Tic-tac-toe rules and AI (no DOM here, the board UI is in Phase1/ticTacToe.js).
+    The board is the same kind of 2D array as the Phase1 matrix: board[row][col] is "X", "O" or null.
+    The AI uses minimax: it tries every possible rest of the game and picks the move with the best
+    guaranteed result, so on "hard" it never loses. Easier levels sometimes play a random move instead. */
+import { Random } from './randomUtil.js';
+
+export const SIZE = 3;
+// chance of playing the best move (otherwise a random one)
+export const DIFFICULTIES = { easy: 0.3, medium: 0.75, hard: 1 };
+
+export class TicTacToeError extends Error {
+    constructor(message){
+        super(message);
+        this.name = "TicTacToeError";
+    }
+}
+export class IllegalMoveError extends TicTacToeError {
+    constructor(row, col, reason){
+        super(`Can't play row ${row + 1}, column ${col + 1}: ${reason}`);
+        this.name = "IllegalMoveError";
+        this.row = row;
+        this.col = col;
+    }
+}
+
+// the 8 ways to win: 3 rows, 3 columns, 2 diagonals -> each one a list of [row, col]
+const range = [...Array(SIZE).keys()];
+export const LINES = [
+    ...range.map(row => range.map(col => [row, col])),
+    ...range.map(col => range.map(row => [row, col])),
+    range.map(i => [i, i]),
+    range.map(i => [i, SIZE - 1 - i])
+];
+
+export function emptyBoard(){
+    return range.map(() => range.map(() => null));
+}
+export function otherPlayer(player){
+    return player === "X" ? "O" : "X";
+}
+export function emptyCells(board){
+    return range.flatMap(row => range.filter(col => board[row][col] === null).map(col => [row, col]));
+}
+// { player, line } for a finished line, or null
+export function winnerOf(board){
+    for(const line of LINES){
+        const [r, c] = line[0];
+        const player = board[r][c];
+        if(player && line.every(([row, col]) => board[row][col] === player)) return { player, line };
+    }
+    return null;
+}
+export function isDraw(board){
+    return !winnerOf(board) && emptyCells(board).length === 0;
+}
+
+/* score from `player`'s point of view: +10 win, -10 loss, 0 draw,
+    minus/plus the depth so a quicker win (and a slower loss) counts as better.
+    Alpha-beta pruning skips branches that can't change the answer. */
+function minimax(board, player, toMove, depth, alpha, beta){
+    const winner = winnerOf(board);
+    if(winner) return winner.player === player ? 10 - depth : depth - 10;
+    const cells = emptyCells(board);
+    if(cells.length === 0) return 0;
+    const maximizing = toMove === player;
+    let best = maximizing ? -Infinity : Infinity;
+    for(const [row, col] of cells){
+        board[row][col] = toMove;
+        const score = minimax(board, player, otherPlayer(toMove), depth + 1, alpha, beta);
+        board[row][col] = null;
+        if(maximizing){
+            best = Math.max(best, score);
+            alpha = Math.max(alpha, score);
+        }
+        else{
+            best = Math.min(best, score);
+            beta = Math.min(beta, score);
+        }
+        if(beta <= alpha) break;
+    }
+    return best;
+}
+
+// [row, col] for `player` to play next; when several moves are equally good, one of them is picked at random
+export function bestMove(board, player, { difficulty = "hard", random = new Random() } = {}){
+    const cells = emptyCells(board);
+    if(cells.length === 0 || winnerOf(board)) throw new TicTacToeError("The game is already over");
+    if(!(difficulty in DIFFICULTIES)) throw new TicTacToeError(`Unknown difficulty "${difficulty}" (use ${Object.keys(DIFFICULTIES).join(", ")})`);
+    if(random.nextFloat() >= DIFFICULTIES[difficulty]) return random.pick(cells);
+    const copy = board.map(row => [...row]);
+    const scored = cells.map(([row, col]) => {
+        copy[row][col] = player;
+        const score = minimax(copy, player, otherPlayer(player), 1, -Infinity, Infinity);
+        copy[row][col] = null;
+        return { cell: [row, col], score };
+    });
+    const top = Math.max(...scored.map(({ score }) => score));
+    return random.pick(scored.filter(({ score }) => score === top)).cell;
+}
+
+export class TicTacToe {
+    constructor({ firstPlayer = "X" } = {}){
+        this.firstPlayer = firstPlayer;
+        this.board = emptyBoard();
+        this.history = []; // [{ row, col, player }], oldest first
+    }
+    get currentPlayer(){
+        return this.history.length % 2 === 0 ? this.firstPlayer : otherPlayer(this.firstPlayer);
+    }
+    // { state: "playing" | "won" | "draw", winner, line }
+    get status(){
+        const winner = winnerOf(this.board);
+        if(winner) return { state: "won", winner: winner.player, line: winner.line };
+        if(isDraw(this.board)) return { state: "draw", winner: null, line: null };
+        return { state: "playing", winner: null, line: null };
+    }
+    play(row, col){
+        if(this.status.state !== "playing") throw new IllegalMoveError(row, col, "the game is over");
+        if(!Number.isInteger(row) || !Number.isInteger(col) || row < 0 || row >= SIZE || col < 0 || col >= SIZE){
+            throw new IllegalMoveError(row, col, "that's off the board");
+        }
+        if(this.board[row][col] !== null) throw new IllegalMoveError(row, col, `${this.board[row][col]} is already there`);
+        const player = this.currentPlayer;
+        this.board[row][col] = player;
+        this.history.push({ row, col, player });
+        return this.status;
+    }
+    // takes back the last `count` moves (returns how many were actually undone)
+    undo(count = 1){
+        const moves = this.history.splice(Math.max(0, this.history.length - count));
+        moves.forEach(({ row, col }) => this.board[row][col] = null);
+        return moves.length;
+    }
+    reset(){
+        this.board = emptyBoard();
+        this.history = [];
+    }
+}
@@ -0,0 +1,232 @@
+/* Stopwatch, countdown and pomodoro timers with pause/resume.
+
+    Counting setInterval ticks (count++ every 1000ms) drifts: the callback runs late when the page is busy,
+    and background tabs only get ticks once a minute. So these timers never count ticks:
+    they remember WHEN they were started (Date.now()) and work the time out from the clock on every read.
+    The interval only tells the page to redraw.
+
+    The same trick makes them survive a reload: the start timestamp is saved (storageKey),
+    and a timer that was running keeps running -> the time the page was closed is counted too.
+
+    const stopwatch = new Stopwatch({ storageKey: "stopwatchTimer" });
+    stopwatch.addEventListener("tick", () => show(formatDuration(stopwatch.elapsed)));
+    stopwatch.start();
+
+    Events: "tick" (while running), "change" (start/pause/reset/lap), "finish" (Countdown), "phase" (Pomodoro) */
+
+export class TimerError extends Error {
+    constructor(message){
+        super(message);
+        this.name = "TimerError";
+    }
+}
+
+const MINUTE = 60 * 1000;
+
+// 83456 -> "01:23.45" (hundredths: true) or "01:23", and "1:01:23" past an hour
+export function formatDuration(ms, { hundredths = false } = {}){
+    const total = Math.max(0, ms);
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor(total / 60000) % 60;
+    const seconds = Math.floor(total / 1000) % 60;
+    const pad = n => String(n).padStart(2, "0");
+    let text = `${pad(minutes)}:${pad(seconds)}`;
+    if(hours) text = `${hours}:${text}`;
+    if(hundredths) text += `.${pad(Math.floor(total / 10) % 100)}`;
+    return text;
+}
+
+export class Timer extends EventTarget {
+    constructor({ storageKey, storage = globalThis.localStorage, now = Date.now, tickEvery = 100 } = {}){
+        super();
+        this._storageKey = storageKey;
+        this._storage = storage;
+        this._now = now;
+        this._tickEvery = tickEvery;
+        this._elapsedBefore = 0; // ms counted before the last pause
+        this._startedAt = null;  // timestamp of the last start, null while paused
+        this._interval = null;
+        this._load();
+    }
+    get running(){
+        return this._startedAt !== null;
+    }
+    get elapsed(){
+        return this._elapsedBefore + (this.running ? this._now() - this._startedAt : 0);
+    }
+    start(){
+        if(this.running) return;
+        this._startedAt = this._now();
+        this._changed();
+    }
+    pause(){
+        if(!this.running) return;
+        this._elapsedBefore = this.elapsed;
+        this._startedAt = null;
+        this._changed();
+    }
+    resume(){
+        this.start();
+    }
+    toggle(){
+        this.running ? this.pause() : this.start();
+    }
+    reset(){
+        this._elapsedBefore = 0;
+        this._startedAt = null;
+        this._changed();
+    }
+    // stops the redraw interval, e.g. when the widget is removed (the saved state stays)
+    dispose(){
+        clearInterval(this._interval);
+        this._interval = null;
+    }
+
+    // ---- for subclasses ----
+    _tick(){
+        this.dispatchEvent(new Event("tick"));
+    }
+    _changed(){
+        this._save();
+        if(this.running && this._interval === null) this._interval = setInterval(() => this._tick(), this._tickEvery);
+        if(!this.running) this.dispose();
+        this.dispatchEvent(new Event("change"));
+        this._tick();
+    }
+    _state(){
+        return { elapsedBefore: this._elapsedBefore, startedAt: this._startedAt };
+    }
+    _restore({ elapsedBefore = 0, startedAt = null }){
+        this._elapsedBefore = elapsedBefore;
+        this._startedAt = startedAt;
+    }
+    _save(){
+        if(this._storageKey) this._storage?.setItem(this._storageKey, JSON.stringify(this._state()));
+    }
+    _load(){
+        const saved = this._storageKey ? this._storage?.getItem(this._storageKey) : null;
+        if(!saved) return;
+        try {
+            this._restore(JSON.parse(saved));
+        }
+        catch {
+            this._storage.removeItem(this._storageKey); // broken save -> start fresh rather than fail
+        }
+        // picks the interval back up for a timer that was running when the page closed (after subclass setup)
+        queueMicrotask(() => this.running && this._changed());
+    }
+}
+
+export class Stopwatch extends Timer {
+    constructor(options){
+        super(options);
+        this.laps ??= [];
+    }
+    // each lap: { number, lap (ms since the previous lap), total (ms since the start) }
+    lap(){
+        if(!this.running) throw new TimerError("The stopwatch has to be running to record a lap");
+        const total = this.elapsed;
+        const previous = this.laps.length ? this.laps[this.laps.length - 1].total : 0;
+        this.laps.push({ number: this.laps.length + 1, lap: total - previous, total });
+        this._changed();
+    }
+    reset(){
+        this.laps = [];
+        super.reset();
+    }
+    _state(){
+        return { ...super._state(), laps: this.laps };
+    }
+    _restore(state){
+        super._restore(state);
+        this.laps = state.laps ?? [];
+    }
+}
+
+export class Countdown extends Timer {
+    constructor({ duration = 5 * MINUTE, ...options } = {}){
+        super(options);
+        this.duration ??= duration;
+    }
+    get remaining(){
+        return Math.max(0, this.duration - this.elapsed);
+    }
+    get finished(){
+        return this.remaining === 0;
+    }
+    // only while it's stopped, changing the length of a running countdown is confusing
+    setDuration(ms){
+        if(this.running) throw new TimerError("Pause the countdown before changing its length");
+        if(!(ms > 0)) throw new TimerError("A countdown needs a positive duration");
+        this.duration = ms;
+        this.reset();
+    }
+    start(){
+        if(this.finished) this._elapsedBefore = 0; // starting a finished countdown starts it over
+        super.start();
+    }
+    _tick(){
+        if(this.running && this.finished){
+            this._elapsedBefore = this.duration;
+            this._startedAt = null;
+            this._changed();
+            this.dispatchEvent(new Event("finish"));
+            return;
+        }
+        super._tick();
+    }
+    _state(){
+        return { ...super._state(), duration: this.duration };
+    }
+    _restore(state){
+        super._restore(state);
+        this.duration = state.duration;
+    }
+}
+
+/* Work / break cycles: work, short break, work, short break ... and a long break every `longBreakEvery` work sessions.
+    The phase is worked out from the total elapsed time, so after a reload (or a sleeping laptop)
+    it lands on the right phase instead of continuing the old one. */
+export class Pomodoro extends Timer {
+    constructor({ work = 25 * MINUTE, shortBreak = 5 * MINUTE, longBreak = 15 * MINUTE, longBreakEvery = 4, ...options } = {}){
+        super(options);
+        this.lengths = { work, shortBreak, longBreak };
+        this.longBreakEvery = longBreakEvery;
+        this._lastPhase = this.phase.index;
+    }
+    // { index, name ("work" | "shortBreak" | "longBreak"), session (work sessions done so far + 1), remaining (ms) }
+    get phase(){
+        const cycle = this.longBreakEvery * (this.lengths.work + this.lengths.shortBreak) - this.lengths.shortBreak + this.lengths.longBreak;
+        const cycles = Math.floor(this.elapsed / cycle);
+        let left = this.elapsed % cycle;
+        let index = cycles * this.longBreakEvery * 2;
+        for(let session = 1; ; session++){
+            const breakName = session === this.longBreakEvery ? "longBreak" : "shortBreak";
+            const sessionNumber = cycles * this.longBreakEvery + session;
+            if(left < this.lengths.work) return { index, name: "work", session: sessionNumber, remaining: this.lengths.work - left };
+            left -= this.lengths.work;
+            index++;
+            if(left < this.lengths[breakName]) return { index, name: breakName, session: sessionNumber, remaining: this.lengths[breakName] - left };
+            left -= this.lengths[breakName];
+            index++;
+        }
+    }
+    // jumps to the start of the next phase
+    skip(){
+        this._elapsedBefore = this.elapsed + this.phase.remaining;
+        if(this.running) this._startedAt = this._now();
+        this._changed();
+    }
+    _tick(){
+        const { index } = this.phase;
+        if(index !== this._lastPhase){
+            this._lastPhase = index;
+            this.dispatchEvent(new Event("phase"));
+        }
+        super._tick();
+    }
+    reset(){
+        this._lastPhase = 0;
+        super.reset();
+    }
+}
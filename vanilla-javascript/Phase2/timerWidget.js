@@ -0,0 +1,110 @@
+/* Timers: connects the Stopwatch, Countdown and Pomodoro from timerUtil.js to the page.
+    Their state is saved in localStorage, so a reload (or closing the tab) doesn't lose a running timer. */
+import { Stopwatch, Countdown, Pomodoro, formatDuration, TimerError } from './timerUtil.js';
+import { notify } from './dialog.js';
+
+const PHASE_NAMES = { work: "Work", shortBreak: "Short break", longBreak: "Long break" };
+
+const swDisplay = document.getElementById("swDisplay");
+const swStartPause = document.getElementById("swStartPause");
+const swLap = document.getElementById("swLap");
+const swReset = document.getElementById("swReset");
+const swLaps = document.getElementById("swLaps");
+const cdDisplay = document.getElementById("cdDisplay");
+const cdMinutes = document.getElementById("cdMinutes");
+const cdSeconds = document.getElementById("cdSeconds");
+const cdStartPause = document.getElementById("cdStartPause");
+const cdReset = document.getElementById("cdReset");
+const pomoPhase = document.getElementById("pomoPhase");
+const pomoDisplay = document.getElementById("pomoDisplay");
+const pomoStartPause = document.getElementById("pomoStartPause");
+const pomoSkip = document.getElementById("pomoSkip");
+const pomoReset = document.getElementById("pomoReset");
+const timerMessage = document.getElementById("timerMessage");
+
+const stopwatch = new Stopwatch({ storageKey: "stopwatchTimer", tickEvery: 50 });
+const countdown = new Countdown({ storageKey: "countdownTimer", tickEvery: 250 });
+const pomodoro = new Pomodoro({ storageKey: "pomodoroTimer", tickEvery: 250 });
+
+function startPauseLabel(timer, startedBefore){
+    return timer.running ? "Pause" : startedBefore ? "Resume" : "Start";
+}
+
+/* Stopwatch */
+stopwatch.addEventListener("tick", () => {
+    swDisplay.textContent = formatDuration(stopwatch.elapsed, { hundredths: true });
+});
+stopwatch.addEventListener("change", () => {
+    swStartPause.textContent = startPauseLabel(stopwatch, stopwatch.elapsed > 0);
+    swLap.disabled = !stopwatch.running;
+    // newest lap on top
+    swLaps.replaceChildren(...stopwatch.laps.map(({ number, lap, total }) => {
+        const li = document.createElement("li");
+        li.value = number;
+        li.textContent = `${formatDuration(lap, { hundredths: true })}  (${formatDuration(total, { hundredths: true })})`;
+        return li;
+    }).reverse());
+});
+swStartPause.addEventListener("click", () => stopwatch.toggle());
+swLap.addEventListener("click", () => stopwatch.lap());
+swReset.addEventListener("click", () => stopwatch.reset());
+
+/* Countdown */
+function showCountdown(){
+    cdDisplay.textContent = formatDuration(Math.ceil(countdown.remaining / 1000) * 1000); // 4.2s left shows as 00:05, like most timers
+}
+countdown.addEventListener("tick", showCountdown);
+countdown.addEventListener("change", () => {
+    const started = countdown.elapsed > 0 && !countdown.finished;
+    cdStartPause.textContent = startPauseLabel(countdown, started);
+    cdMinutes.disabled = cdSeconds.disabled = countdown.running || started;
+    cdMinutes.value = Math.floor(countdown.duration / 60000);
+    cdSeconds.value = Math.floor(countdown.duration / 1000) % 60;
+});
+countdown.addEventListener("finish", () => {
+    timerMessage.textContent = "Countdown finished!";
+    notify("⏰ Time's up!");
+});
+function readDuration(){
+    const ms = (Number(cdMinutes.value) * 60 + Number(cdSeconds.value)) * 1000;
+    if(ms !== countdown.duration) countdown.setDuration(ms);
+}
+cdStartPause.addEventListener("click", () => {
+    try {
+        if(!countdown.running && (countdown.elapsed === 0 || countdown.finished)) readDuration();
+        timerMessage.textContent = "";
+        countdown.toggle();
+    }
+    catch (error) {
+        if (!(error instanceof TimerError)) throw error;
+        timerMessage.textContent = error.message;
+    }
+});
+cdReset.addEventListener("click", () => {
+    countdown.reset();
+    timerMessage.textContent = "";
+});
+
+/* Pomodoro */
+pomodoro.addEventListener("tick", () => {
+    const { name, session, remaining } = pomodoro.phase;
+    pomoPhase.textContent = `- ${PHASE_NAMES[name]} (#${session})`;
+    pomoDisplay.textContent = formatDuration(Math.ceil(remaining / 1000) * 1000);
+});
+pomodoro.addEventListener("change", () => {
+    pomoStartPause.textContent = startPauseLabel(pomodoro, pomodoro.elapsed > 0);
+});
+pomodoro.addEventListener("phase", () => {
+    const { name } = pomodoro.phase;
+    timerMessage.textContent = name === "work" ? "Break's over, back to work!" : `Time for a ${PHASE_NAMES[name].toLowerCase()}.`;
+});
+pomoStartPause.addEventListener("click", () => pomodoro.toggle());
+pomoSkip.addEventListener("click", () => pomodoro.skip());
+pomoReset.addEventListener("click", () => {
+    pomodoro.reset();
+    timerMessage.textContent = "";
+});
+
+// first draw (running timers also redraw themselves once they've picked up their saved state)
+[stopwatch, countdown, pomodoro].forEach(timer => timer.dispatchEvent(new Event("change")));
+[stopwatch, countdown, pomodoro].forEach(timer => timer.dispatchEvent(new Event("tick")));
@@ -0,0 +1,99 @@
+/* Declarative form validation:
+    declare the rules for each field once, and the validator runs them on every input and on submit,
+    shows the first failing rule's message under the field, and keeps aria-invalid / aria-describedby up to date.
+
+    const validator = new FormValidator({
+        email: [rules.required(), rules.email()],
+        age: [rules.required(), rules.number(), rules.min(18)]
+    }); // keys are element ids
+    if (await validator.validateAll()) { ...submit... }
+
+    Empty optional fields are valid: only rules.required() checks for an empty value.
+    Rules can be async (rules.custom(async value => ...)), so validation always returns a Promise.
+    A rule that throws makes the field invalid, and what it threw is in validator.fields.get(id).error. */
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/; // something@something.something, no spaces
+
+export const rules = {
+    required: (message = "This field is required") => ({ required: true, test: value => value.trim() !== "", message }),
+    email: (message = "Enter a valid email address") => ({ test: value => EMAIL.test(value.trim()), message }),
+    number: (message = "Enter a number") => ({ test: value => value.trim() !== "" && Number.isFinite(Number(value)), message }),
+    min: (limit, message = `Must be at least ${limit}`) => ({ test: value => Number(value) >= limit, message }),
+    max: (limit, message = `Must be at most ${limit}`) => ({ test: value => Number(value) <= limit, message }),
+    minLength: (length, message = `Must be at least ${length} characters`) => ({ test: value => value.length >= length, message }),
+    maxLength: (length, message = `Must be at most ${length} characters`) => ({ test: value => value.length <= length, message }),
+    pattern: (regex, message = "Invalid format") => ({ test: value => regex.test(value), message }),
+    // test can return a boolean or a Promise of one (e.g. asking a server if a name is taken)
+    custom: (test, message = "Invalid value") => ({ test, message })
+};
+
+export class FormValidator {
+    constructor(fields, { root = document, validateOnInput = true } = {}){
+        this.fields = new Map();
+        Object.entries(fields).forEach(([id, fieldRules]) => {
+            const input = root.querySelector(`#${CSS.escape(id)}`);
+            if(!input){
+                throw new Error(`No input with id "${id}" to validate`);
+            }
+            this.fields.set(id, { input, rules: fieldRules, errorElement: this.createErrorElement(input), run: 0, error: null });
+            if(validateOnInput){
+                input.addEventListener("input", () => this.validateField(id));
+            }
+        });
+    }
+    // the message goes in a span right after the input, linked with aria-describedby for screen readers
+    createErrorElement(input){
+        const errorElement = document.createElement("span");
+        errorElement.id = `${input.id}-error`;
+        errorElement.className = "field-error";
+        errorElement.setAttribute("aria-live", "polite");
+        input.after(errorElement);
+        const describedBy = (input.getAttribute("aria-describedby") ?? "").split(" ").filter(Boolean);
+        input.setAttribute("aria-describedby", [...describedBy, errorElement.id].join(" "));
+        return errorElement;
+    }
+    validateField(id){
+        const field = this.fields.get(id);
+        const run = ++field.run;
+        // a rule that throws (e.g. the server it asks is down) -> the field is invalid, not an unhandled rejection
+        // (nobody catches the validateField() from the input listener)
+        const check = this.firstError(field).then(
+            message => ({ message, error: null }),
+            error => ({ message: "Couldn't check this value, try again", error })
+        );
+        field.latest = check.then(({ message, error }) => {
+            // the user typed again while an async rule was running -> this result is out of date, use the newer one
+            if(run !== field.run) return field.latest;
+            field.error = error; // what the rule threw, the caller decides whether to log it
+            field.input.setAttribute("aria-invalid", message ? "true" : "false");
+            field.errorElement.textContent = message;
+            return !message;
+        });
+        return field.latest;
+    }
+    async firstError(field){
+        const value = field.input.value;
+        for(const rule of field.rules){
+            if(!rule.required && value.trim() === "") continue;
+            if(!(await rule.test(value, field.input))){
+                return rule.message;
+            }
+        }
+        return "";
+    }
+    async validateAll(){
+        const results = await Promise.all([...this.fields.keys()].map(id => this.validateField(id)));
+        const firstInvalid = [...this.fields.values()].find((_, i) => !results[i]);
+        firstInvalid?.input.focus();
+        return !firstInvalid;
+    }
+    reset(){
+        this.fields.forEach(field => {
+            field.run++;
+            field.latest = Promise.resolve(true);
+            field.error = null;
+            field.input.removeAttribute("aria-invalid");
+            field.errorElement.textContent = "";
+        });
+    }
+}
@@ -0,0 +1,208 @@
+/* Workflow engine: doChores() without the hard-coded order.
+    doChores() awaits walkDog(), then cleanKitchen(), then takeOutTrash(), one after the other, even though
+    walking the dog has nothing to do with the kitchen. Here every task says what it depends on,
+    and everything whose dependencies are done runs at the same time.
+
+    const chores = new Workflow([
+        { id: "walkDog", run: walkDog, retries: 2 },                               // 3 tries in total
+        { id: "cleanKitchen", run: cleanKitchen, timeout: 5000 },                  // fails if it takes longer
+        { id: "takeOutTrash", run: takeOutTrash, dependsOn: ["cleanKitchen"] }
+    ]);
+    const results = await chores.run();   // { walkDog: "You've taken...", cleanKitchen: ..., takeOutTrash: ... }
+    chores.cancel();                      // stops everything that's running, run() rejects with a WorkflowCancelledError
+
+    run() again after a failure only runs what isn't done yet: the failed tasks and the ones waiting on them.
+    reset() forgets everything so the next run() starts from scratch.
+
+    A task's run({ signal, attempt, results }) gets the results of its dependencies, and a signal that aborts
+    on a timeout or cancel() (pass it on to fetch(), or the task just keeps going in the background).
+    Task states: "pending" -> "running" -> "done" or "failed". A "change" event (detail = the task) fires on every change. */
+
+export class WorkflowError extends Error {
+    constructor(message){
+        super(message);
+        this.name = "WorkflowError";
+    }
+}
+// a task failed on its last try -> cause is what it threw the last time
+export class TaskFailedError extends WorkflowError {
+    constructor(taskId, cause, attempts){
+        super(`${taskId} failed after ${attempts} ${attempts === 1 ? "try" : "tries"}: ${cause?.message ?? cause}`);
+        this.name = "TaskFailedError";
+        this.taskId = taskId;
+        this.cause = cause;
+        this.attempts = attempts;
+    }
+}
+export class TaskTimeoutError extends WorkflowError {
+    constructor(taskId, timeout){
+        super(`${taskId} took longer than ${timeout} ms`);
+        this.name = "TaskTimeoutError";
+        this.taskId = taskId;
+    }
+}
+export class WorkflowCancelledError extends WorkflowError {
+    constructor(){
+        super("The workflow was cancelled");
+        this.name = "WorkflowCancelledError";
+    }
+}
+// run() rejects with this when some tasks failed -> failures: the TaskFailedErrors, blocked: ids that never got to run
+export class WorkflowFailedError extends WorkflowError {
+    constructor(failures, blocked){
+        super(`${failures.map(failure => failure.taskId).join(", ")} failed` + (blocked.length ? `, so ${blocked.join(", ")} couldn't run` : ""));
+        this.name = "WorkflowFailedError";
+        this.failures = failures;
+        this.blocked = blocked;
+    }
+}
+
+// waits `ms`, unless the signal aborts first
+function sleep(ms, signal){
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        // done waiting -> the listener goes too, or every retry would leave one on the run's signal
+        const timer = setTimeout(() => {
+            signal.removeEventListener("abort", onAbort);
+            resolve();
+        }, ms);
+        signal.addEventListener("abort", onAbort, { once: true });
+    });
+}
+// rejects as soon as the signal aborts
+function whenAborted(signal){
+    return new Promise((_, reject) => {
+        if(signal.aborted) reject(signal.reason);
+        signal.addEventListener("abort", () => reject(signal.reason), { once: true });
+    });
+}
+
+export class Workflow extends EventTarget {
+    /* tasks: [{ id, run, dependsOn = [], retries = 0, retryDelay = 500, timeout = 0 }]
+        retries: extra tries after a failure, retryDelay: ms before the first retry (doubled every time),
+        timeout: ms per try, 0 = no limit. concurrency: how many tasks can run at once */
+    constructor(tasks, { concurrency = Infinity } = {}){
+        super();
+        this.tasks = new Map();
+        tasks.forEach(({ id, run, dependsOn = [], retries = 0, retryDelay = 500, timeout = 0 }) => {
+            if(typeof id !== "string" || id === "") throw new WorkflowError("Every task needs an id (a string)");
+            if(this.tasks.has(id)) throw new WorkflowError(`There are two tasks called "${id}"`);
+            if(typeof run !== "function") throw new WorkflowError(`Task "${id}" needs a run function`);
+            if(!(Number.isInteger(retries) && retries >= 0)) throw new WorkflowError(`retries of "${id}" must be a whole number, 0 or more`);
+            this.tasks.set(id, { id, run, dependsOn, retries, retryDelay, timeout, state: "pending", attempts: 0, result: undefined, error: null });
+        });
+        this.tasks.forEach(task => task.dependsOn.forEach(dep => {
+            if(!this.tasks.has(dep)) throw new WorkflowError(`"${task.id}" depends on "${dep}", which isn't a task`);
+        }));
+        this._checkForCycles();
+        this.concurrency = concurrency;
+        this._controller = null;
+    }
+    // a -> b -> a could never start, so it's an error right away
+    _checkForCycles(){
+        const visited = new Set();
+        const visit = (id, path) => {
+            if(path.includes(id)) throw new WorkflowError(`Circular dependency: ${[...path.slice(path.indexOf(id)), id].join(" -> ")}`);
+            if(visited.has(id)) return;
+            this.tasks.get(id).dependsOn.forEach(dep => visit(dep, [...path, id]));
+            visited.add(id);
+        };
+        this.tasks.forEach((_, id) => visit(id, []));
+    }
+
+    get running(){
+        return this._controller !== null;
+    }
+    _update(task, changes){
+        Object.assign(task, changes);
+        this.dispatchEvent(new CustomEvent("change", { detail: task }));
+    }
+
+    async run({ signal } = {}){
+        if(this.running) throw new WorkflowError("The workflow is already running");
+        const controller = this._controller = new AbortController();
+        const cancel = () => controller.abort(new WorkflowCancelledError());
+        if(signal?.aborted) cancel();
+        signal?.addEventListener("abort", cancel, { once: true });
+        const cancelled = whenAborted(controller.signal);
+        cancelled.catch(() => {}); // only raced against below, not an unhandled rejection when nobody's waiting
+        // failed tasks get another go, done ones are kept
+        this.tasks.forEach(task => {
+            if(task.state === "failed") this._update(task, { state: "pending", attempts: 0, error: null });
+        });
+        const running = new Map(); // id -> promise of _runTask()
+        try {
+            while(!controller.signal.aborted){
+                const ready = [...this.tasks.values()].filter(task => task.state === "pending" && !running.has(task.id)
+                    && task.dependsOn.every(dep => this.tasks.get(dep).state === "done"));
+                for(const task of ready.slice(0, this.concurrency - running.size)){
+                    running.set(task.id, this._runTask(task, controller.signal).finally(() => running.delete(task.id)));
+                }
+                if(running.size === 0) break; // nothing running and nothing can start -> finished (or stuck behind a failure)
+                await Promise.race([...running.values(), cancelled]).catch(() => {});
+            }
+            await Promise.allSettled(running.values()); // after a cancel: wait until the running tasks are back to pending
+            if(controller.signal.aborted) throw controller.signal.reason;
+        }
+        finally {
+            signal?.removeEventListener("abort", cancel);
+            this._controller = null;
+        }
+        const failures = [...this.tasks.values()].filter(task => task.state === "failed").map(task => task.error);
+        if(failures.length > 0){
+            const blocked = [...this.tasks.values()].filter(task => task.state === "pending").map(task => task.id);
+            throw new WorkflowFailedError(failures, blocked);
+        }
+        return Object.fromEntries([...this.tasks.values()].map(task => [task.id, task.result]));
+    }
+    cancel(){
+        this._controller?.abort(new WorkflowCancelledError());
+    }
+    // everything back to pending, the next run() does all the work again
+    reset(){
+        if(this.running) throw new WorkflowError("Cancel the workflow before resetting it");
+        this.tasks.forEach(task => this._update(task, { state: "pending", attempts: 0, result: undefined, error: null }));
+    }
+
+    // never rejects: the outcome ends up in task.state
+    async _runTask(task, signal){
+        const results = Object.fromEntries(task.dependsOn.map(dep => [dep, this.tasks.get(dep).result]));
+        for(let attempt = 1; ; attempt++){
+            this._update(task, { state: "running", attempts: attempt });
+            try {
+                const result = await this._attempt(task, signal, attempt, results);
+                this._update(task, { state: "done", result });
+                return;
+            }
+            catch (error) {
+                // cancelled -> it didn't finish, so it's pending again and the next run() starts it over
+                if(signal.aborted) return this._update(task, { state: "pending", attempts: 0, error: null });
+                if(attempt > task.retries) return this._update(task, { state: "failed", error: new TaskFailedError(task.id, error, attempt) });
+                this._update(task, { error }); // still running, the view can show why it's retrying
+                try {
+                    await sleep(task.retryDelay * 2 ** (attempt - 1), signal);
+                }
+                catch {
+                    return this._update(task, { state: "pending", attempts: 0, error: null });
+                }
+            }
+        }
+    }
+    _attempt(task, signal, attempt, results){
+        const controller = new AbortController();
+        const forward = () => controller.abort(signal.reason);
+        signal.addEventListener("abort", forward, { once: true });
+        const timer = task.timeout > 0 ? setTimeout(() => controller.abort(new TaskTimeoutError(task.id, task.timeout)), task.timeout) : null;
+        // a task that ignores the signal keeps running in the background, but the workflow doesn't wait for it
+        return Promise.race([
+            Promise.resolve().then(() => task.run({ signal: controller.signal, attempt, results })),
+            whenAborted(controller.signal)
+        ]).finally(() => {
+            clearTimeout(timer);
+            signal.removeEventListener("abort", forward);
+        });
+    }
+}